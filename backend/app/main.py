@@ -2,6 +2,7 @@ from fastapi import FastAPI
 from fastapi.middleware.cors import CORSMiddleware
 import pandas as pd
 import numpy as np
+import os
 from datetime import datetime
 
 # uvicorn main:app --reload
@@ -15,19 +16,171 @@ app.add_middleware(
     allow_headers=["*"],
 )
 
+# Dataset location (set RENTAL_DATA_PATH to use another file)
+DATA_PATH = os.environ.get(
+    "RENTAL_DATA_PATH",
+    os.path.join(os.path.dirname(__file__), "..", "data", "rentals.csv")
+)
+
 # Global variables
 df = None
 all_property_types = []
 location_tree = {}
+district_centres = {}
+furnishing_types = []
+
+# Optional listing attribute filters accepted by /search
+def match_count(column, value):
+    # "3" matches exactly 3, "5+" matches 5 or more
+    if value.endswith('+'):
+        return column >= float(value[:-1])
+    return column == float(value)
+
+def apply_listing_filters(frame, bedrooms=None, bathrooms=None, furnishing=None,
+                          min_size=None, max_size=None, min_price=None, max_price=None):
+    mask = pd.Series(True, index=frame.index)
+    if bedrooms and 'No of Bedroom' in frame.columns:
+        mask &= match_count(frame['No of Bedroom'], bedrooms)
+    if bathrooms and 'No of Bathroom' in frame.columns:
+        mask &= match_count(frame['No of Bathroom'], bathrooms)
+    if furnishing and 'Furnishing Type' in frame.columns:
+        mask &= frame['Furnishing Type'] == furnishing
+    if min_size is not None and 'Property Size' in frame.columns:
+        mask &= frame['Property Size'] >= min_size
+    if max_size is not None and 'Property Size' in frame.columns:
+        mask &= frame['Property Size'] <= max_size
+    if min_price is not None:
+        mask &= frame['Rent Price'] >= min_price
+    if max_price is not None:
+        mask &= frame['Rent Price'] <= max_price
+    return frame[mask]
+
+# Analysis metrics accepted by the analysis endpoints: total monthly rent (whole ringgit) or
+# rent per square foot (to the sen), with the default and smallest histogram bin widths of each
+METRICS = {
+    "rent": {"round": int, "bin_width": 500, "min_bin_width": 50},
+    "sqft": {"round": lambda value: round(float(value), 2), "bin_width": 0.5, "min_bin_width": 0.1},
+}
+
+# Property sizes (sqft) outside this range are treated as data errors and left out of the per-sqft metric
+MIN_PLAUSIBLE_SIZE = 100
+MAX_PLAUSIBLE_SIZE = 20000
+
+def apply_metric(frame, metric):
+    # Listings the metric can be computed for, with the analysed number in 'Value', and how many were left out
+    if metric == 'rent':
+        return frame.assign(Value=frame['Rent Price']), 0
+    if 'Property Size' not in frame.columns:
+        return frame.iloc[0:0].assign(Value=np.nan), len(frame)
+    plausible = frame['Property Size'].between(MIN_PLAUSIBLE_SIZE, MAX_PLAUSIBLE_SIZE)
+    kept = frame[plausible]
+    return kept.assign(Value=kept['Rent Price'] / kept['Property Size']), int((~plausible).sum())
+
+# Trend periods accepted by /trends (pandas period aliases; weeks start on Monday)
+TREND_PERIODS = {"daily": "D", "weekly": "W", "monthly": "M", "quarterly": "Q"}
+
+def format_period(start, granularity):
+    if granularity == 'monthly':
+        return start.strftime('%Y-%m')
+    if granularity == 'quarterly':
+        return f"{start.year}-Q{start.quarter}"
+    return start.strftime('%Y-%m-%d')
+
+def build_trends(frame, granularity, to_value=int):
+    # Median value (see apply_metric) and listing count per period, oldest first
+    if 'Extract Date' not in frame.columns:
+        return []
+    trend_df = frame[['Extract Date', 'Value']].copy()
+    trend_df['date'] = pd.to_datetime(trend_df['Extract Date'], errors='coerce')
+    trend_df.dropna(subset=['date'], inplace=True)
+    trend_df['start'] = trend_df['date'].dt.to_period(TREND_PERIODS[granularity]).dt.start_time
+    period_stats = trend_df.groupby('start')['Value'].agg(['median', 'count']).reset_index().sort_values('start')
+    return [{
+        "name": format_period(row['start'], granularity),
+        "start": row['start'].strftime('%Y-%m-%d'),
+        "price": to_value(row['median']),
+        "count": int(row['count'])
+    } for _, row in period_stats.iterrows()]
+
+def format_bound(value):
+    # Bin edge without trailing zeros: 1500 -> "1500", 2.5 -> "2.5"
+    return f"{value:.2f}".rstrip('0').rstrip('.')
+
+# Most bins a histogram gets (src/stats.js applies the same rule)
+MAX_BINS = 60
+
+def build_distribution(prices, bin_width):
+    # Fixed-width bins [from, from + width) from the cheapest to the dearest listing, empty bins included.
+    # Past MAX_BINS the bins are cut to the 1st-99th percentile, then to MAX_BINS from the bottom; the
+    # listings beyond are counted in the first or last bin, marked "edge": "below" or "above".
+    # Floor of the true quotient, as in src/stats.js: float floor division puts 1.0 in bin 9 of width 0.1
+    bin_index = np.floor(prices / bin_width).astype(int)
+    first, last = int(bin_index.min()), int(bin_index.max())
+    if last - first + 1 > MAX_BINS:
+        first = int(np.floor(prices.quantile(0.01) / bin_width))
+        last = min(int(np.floor(prices.quantile(0.99) / bin_width)), first + MAX_BINS - 1)
+    counts = bin_index.clip(first, last).value_counts().reindex(range(first, last + 1), fill_value=0)
+    bins = [{
+        "range": f"{format_bound(i * bin_width)}-{format_bound((i + 1) * bin_width)}",
+        "from": round(i * bin_width, 2),
+        "count": int(count)
+    } for i, count in counts.items()]
+    if bin_index.min() < first:
+        bins[0].update({"range": f"<{format_bound((first + 1) * bin_width)}", "edge": "below"})
+    if bin_index.max() > last:
+        bins[-1].update({"range": f"{format_bound(last * bin_width)}+", "edge": "above"})
+    return bins
+
+def summarize_prices(prices, to_value=int):
+    # Percentiles, mean, IQR and box-plot whiskers (furthest listings within 1.5 IQR of the box)
+    q = prices.quantile([0.1, 0.25, 0.5, 0.75, 0.9])
+    iqr = q[0.75] - q[0.25]
+    inside = prices[(prices >= q[0.25] - 1.5 * iqr) & (prices <= q[0.75] + 1.5 * iqr)]
+    return {
+        "count": int(len(prices)),
+        "median": to_value(q[0.5]),
+        "mean": to_value(prices.mean()),
+        "p10": to_value(q[0.1]),
+        "p25": to_value(q[0.25]),
+        "p75": to_value(q[0.75]),
+        "p90": to_value(q[0.9]),
+        "iqr": to_value(iqr),
+        "min": to_value(prices.min()),
+        "max": to_value(prices.max()),
+        "lowerWhisker": to_value(inside.min()),
+        "upperWhisker": to_value(inside.max()),
+        "outliers": int(len(prices) - len(inside))
+    }
+
+# Optional dataset column with a listing identifier; the CSV row number is used when it's missing
+LISTING_ID_COLUMN = 'Listing ID'
+
+def build_points(frame):
+    # One compact array per geocoded listing, missing values as null:
+    # [lat, lng, price, id, bedrooms, bathrooms, size, furnishing, extractDate, pricePerSqft]
+    def column(name):
+        return frame[name] if name in frame.columns else pd.Series(np.nan, index=frame.index)
+
+    ids = frame[LISTING_ID_COLUMN].astype(str) if LISTING_ID_COLUMN in frame.columns else frame.index.astype(str)
+    sizes = column('Property Size')
+    dates = pd.to_datetime(column('Extract Date'), errors='coerce').dt.strftime('%Y-%m-%d')
+    per_sqft = (frame['Rent Price'] / sizes.where(sizes > 0)).round(2)
+    rows = zip(
+        frame['Latitude'], frame['Longitude'], frame['Rent Price'], ids,
+        column('No of Bedroom'), column('No of Bathroom'), sizes,
+        column('Furnishing Type'), dates, per_sqft
+    )
+    return [[None if pd.isna(value) else value for value in row] for row in rows]
 
 @app.on_event("startup")
 def load_data():
-    global df, all_property_types, location_tree
+    global df, all_property_types, location_tree, district_centres, furnishing_types
     print("Loading data... please wait...")
     
     # 1. LOAD DATA
     #df = pd.read_csv("/Users/akmalhakim/Downloads/National Big Data Analytic Centre/rental-calc/backend/rental_data.csv", low_memory=False) 
-    df = pd.read_csv("/Users/akmalhakim/Downloads/National Big Data Analytic Centre/rental-calc/backend/rental_data_2026_with_coords.csv", low_memory=False) 
+    #df = pd.read_csv("/Users/akmalhakim/Downloads/National Big Data Analytic Centre/rental-calc/backend/rental_data_2026_with_coords.csv", low_memory=False) 
+    df = pd.read_csv(DATA_PATH, low_memory=False)
     
     # 2. CLEANING
     # Ensure Price is numeric
@@ -38,6 +191,13 @@ def load_data():
     df['District'] = df['District'].astype(str).str.strip()
     df['Standard Type'] = df['Standard Type'].astype(str).str.strip()
     
+    # Listing attributes used by the search filters and the map popups
+    for col in ['No of Bedroom', 'No of Bathroom', 'Property Size']:
+        if col in df.columns:
+            df[col] = pd.to_numeric(df[col], errors='coerce')
+    if 'Furnishing Type' in df.columns:
+        df['Furnishing Type'] = df['Furnishing Type'].str.strip()
+    
     # IMPORTANT: We ONLY drop rows if they don't have Price, State, District, or Type.
     # We DO NOT drop rows missing Latitude/Longitude yet.
     df.dropna(subset=['Rent Price', 'State', 'District', 'Standard Type'], inplace=True)
@@ -55,33 +215,63 @@ def load_data():
             location_tree[state] = {}
         location_tree[state][district] = sorted(types.tolist())
 
+    # Median listing position per district: the map picks the nearest one when there are no boundaries
+    district_centres = {}
+    if 'Latitude' in df.columns and 'Longitude' in df.columns:
+        located = df.dropna(subset=['Latitude', 'Longitude'])
+        centres = located.groupby(['State', 'District'])[['Latitude', 'Longitude']].median()
+        for (state, district), row in centres.iterrows():
+            district_centres.setdefault(state, {})[district] = [round(float(row['Latitude']), 5), round(float(row['Longitude']), 5)]
+
+    if 'Furnishing Type' in df.columns:
+        furnishing_types = sorted(df['Furnishing Type'].dropna().unique().tolist())
+
     print(f"✅ Data Loaded! {len(df)} total rows.")
 
 @app.get("/options")
 def get_form_options():
     return {
         "all_types": all_property_types,
-        "location_tree": location_tree
+        "location_tree": location_tree,
+        "district_centres": district_centres,
+        "furnishing_types": furnishing_types
     }
 
 @app.get("/search")
-def search_rentals(state: str, district: str, houseType: str):
+def search_rentals(state: str, district: str, houseType: str,
+                   bedrooms: str = None, bathrooms: str = None, furnishing: str = None,
+                   minSize: float = None, maxSize: float = None,
+                   minPrice: float = None, maxPrice: float = None, metric: str = 'rent'):
     if df is None:
         return {"found": False, "error": "Data not loaded"}
+    if metric not in METRICS:
+        return {"found": False, "error": f"Unknown metric {metric}"}
+    to_value = METRICS[metric]['round']
 
     # 1. BASE FILTER (Calculator Data)
-    mask = (
-        (df['State'] == state) & 
-        (df['District'] == district) & 
-        (df['Standard Type'] == houseType)
-    )
-    all_results = df[mask]
-    
+    district_mask = (df['State'] == state) & (df['District'] == district)
+    unfiltered_count = int((district_mask & (df['Standard Type'] == houseType)).sum())
+
+    # Listing filters apply to everything below: stats, comparison, charts and map
+    try:
+        district_df = apply_listing_filters(
+            df[district_mask], bedrooms, bathrooms, furnishing,
+            minSize, maxSize, minPrice, maxPrice
+        )
+    except ValueError:
+        return {"found": False, "error": "Invalid bedroom or bathroom filter"}
+
+    # Per-sqft analysis leaves out listings without a plausible size (reported as excludedCount)
+    all_results, excluded_count = apply_metric(district_df[district_df['Standard Type'] == houseType], metric)
+    district_df, _ = apply_metric(district_df, metric)
+
     if all_results.empty:
-        return {"found": False}
-    
+        return {"found": False, "totalCount": unfiltered_count, "excludedCount": excluded_count}
+
     # 2. STATS & FEATURES
-    median_rent = int(all_results['Rent Price'].median())
+    median_rent = to_value(all_results['Value'].median())
+    lower_quartile = to_value(all_results['Value'].quantile(0.25))
+    upper_quartile = to_value(all_results['Value'].quantile(0.75))
     total_listings = len(all_results)
     
     features = []
@@ -99,41 +289,27 @@ def search_rentals(state: str, district: str, houseType: str):
         if not mode_bath.empty: features.append(f"{int(float(mode_bath[0]))} Baths")
 
     # 3. COMPARISON LOGIC
-    district_mask = (df['State'] == state) & (df['District'] == district)
-    district_df = df[district_mask]
-    comparison_data = district_df.groupby('Standard Type')['Rent Price'].median().reset_index()
+    comparison_data = district_df.groupby('Standard Type')['Value'].median().reset_index()
     comparison_list = []
     for _, row in comparison_data.iterrows():
         t_type = row['Standard Type']
-        t_price = int(row['Rent Price'])
+        t_price = to_value(row['Value'])
         if t_type != houseType:
             comparison_list.append({
                 "type": t_type,
                 "medianRent": t_price,
-                "diff": t_price - median_rent
+                "diff": to_value(t_price - median_rent)
             })
     comparison_list.sort(key=lambda x: x['medianRent'])
 
     # 4. CHARTS (Trends & Distribution)
-    trend_data = []
-    if 'Extract Date' in all_results.columns:
-        trend_df = all_results.copy()
-        trend_df['date'] = pd.to_datetime(trend_df['Extract Date'], errors='coerce')
-        trend_df.dropna(subset=['date'], inplace=True)
-        trend_df['month_year'] = trend_df['date'].dt.to_period('D').astype(str)
-        monthly_stats = trend_df.groupby('month_year')['Rent Price'].median().reset_index().sort_values('month_year')
-        for _, row in monthly_stats.iterrows():
-            trend_data.append({"name": row['month_year'], "price": int(row['Rent Price'])})
-
-    prices = all_results['Rent Price'].dropna()
-    bins = range(0, int(prices.max()) + 500, 500)
-    labels = [f"{i}-{i+500}" for i in bins[:-1]]
-    price_dist = pd.cut(prices, bins=bins, labels=labels, right=False).value_counts().sort_index()
-    distribution_data = [{"range": k, "count": v} for k, v in price_dist.items() if v > 0]
+    trend_data = build_trends(all_results, 'daily', to_value)
+
+    prices = all_results['Value'].dropna()
+    distribution_data = build_distribution(prices, METRICS[metric]['bin_width'])
 
     # 5. MAP DATA (With Price Coloring)
     map_results = all_results.dropna(subset=['Latitude', 'Longitude'])
-    points = []
     center_lat, center_lng = 3.1319, 101.6841
     map_min = 0
     map_max = 0
@@ -143,27 +319,152 @@ def search_rentals(state: str, district: str, houseType: str):
         center_lng = map_results['Longitude'].mean()
         
         # Calculate min/max for color scaling
-        map_min = int(map_results['Rent Price'].min())
-        map_max = int(map_results['Rent Price'].max())
+        map_min = to_value(map_results['Value'].min())
+        map_max = to_value(map_results['Value'].max())
 
-        if len(map_results) > 2000:
-            map_results = map_results.sample(n=2000)
-            
-        # Return [Lat, Lng, Price]
-        points = map_results[['Latitude', 'Longitude', 'Rent Price']].values.tolist()
+    # The listings themselves are drawn from /points
 
+    # Figures below are in the chosen metric; an income suggestion only makes sense for total rent
     return {
         "found": True,
         "location": f"{district}, {state}",
+        "metric": metric,
         "medianRent": median_rent,
-        "suitableIncome": median_rent * 3,
+        "suitableIncome": median_rent * 3 if metric == 'rent' else None,
+        "lowerQuartile": lower_quartile,
+        "upperQuartile": upper_quartile,
+        "priceStats": summarize_prices(all_results['Value'], to_value),
         "coordinates": [center_lat, center_lng],
-        "points": points,
         "mapMin": map_min, # New
         "mapMax": map_max, # New
         "commonFeatures": features,
         "count": len(all_results),
+        "totalCount": unfiltered_count,
+        "excludedCount": excluded_count,
         "comparison": comparison_list,
         "trends": trend_data,
         "distribution": distribution_data
     }
+
+@app.get("/points")
+def search_points(state: str, district: str, houseType: str,
+                  bedrooms: str = None, bathrooms: str = None, furnishing: str = None,
+                  minSize: float = None, maxSize: float = None,
+                  minPrice: float = None, maxPrice: float = None, metric: str = 'rent'):
+    if df is None:
+        return {"found": False, "error": "Data not loaded"}
+    if metric not in METRICS:
+        return {"found": False, "error": f"Unknown metric {metric}"}
+
+    # Every geocoded listing of a /search, for the map to draw on the GPU. Kept out of /search
+    # so the callers that only need the figures don't download them.
+    mask = (df['State'] == state) & (df['District'] == district) & (df['Standard Type'] == houseType)
+    try:
+        results = apply_listing_filters(
+            df[mask], bedrooms, bathrooms, furnishing,
+            minSize, maxSize, minPrice, maxPrice
+        )
+    except ValueError:
+        return {"found": False, "error": "Invalid bedroom or bathroom filter"}
+    results, _ = apply_metric(results, metric)
+
+    map_results = results.dropna(subset=['Latitude', 'Longitude'])
+    return {"found": not results.empty, "points": build_points(map_results)}
+
+@app.get("/trends")
+def search_trends(state: str, district: str, houseType: str, granularity: str = 'daily',
+                  bedrooms: str = None, bathrooms: str = None, furnishing: str = None,
+                  minSize: float = None, maxSize: float = None,
+                  minPrice: float = None, maxPrice: float = None, metric: str = 'rent'):
+    if df is None:
+        return {"found": False, "error": "Data not loaded"}
+    if granularity not in TREND_PERIODS:
+        return {"found": False, "error": f"Unknown granularity {granularity}"}
+    if metric not in METRICS:
+        return {"found": False, "error": f"Unknown metric {metric}"}
+
+    # Same listings as /search, regrouped by day, week, month or quarter
+    mask = (df['State'] == state) & (df['District'] == district) & (df['Standard Type'] == houseType)
+    try:
+        results = apply_listing_filters(
+            df[mask], bedrooms, bathrooms, furnishing,
+            minSize, maxSize, minPrice, maxPrice
+        )
+    except ValueError:
+        return {"found": False, "error": "Invalid bedroom or bathroom filter"}
+    results, _ = apply_metric(results, metric)
+
+    return {
+        "found": not results.empty,
+        "granularity": granularity,
+        "trends": build_trends(results, granularity, METRICS[metric]['round'])
+    }
+
+@app.get("/distribution")
+def search_distribution(state: str, district: str, houseType: str, binWidth: float = None,
+                        bedrooms: str = None, bathrooms: str = None, furnishing: str = None,
+                        minSize: float = None, maxSize: float = None,
+                        minPrice: float = None, maxPrice: float = None, metric: str = 'rent'):
+    if df is None:
+        return {"found": False, "error": "Data not loaded"}
+    if metric not in METRICS:
+        return {"found": False, "error": f"Unknown metric {metric}"}
+    # Bin widths are in the metric's unit (RM or RM per sqft)
+    if binWidth is None:
+        binWidth = METRICS[metric]['bin_width']
+    min_bin_width = METRICS[metric]['min_bin_width']
+    if binWidth < min_bin_width:
+        return {"found": False, "error": f"Bin width must be at least {min_bin_width}"}
+
+    # Same listings as /search, binned at another width
+    mask = (df['State'] == state) & (df['District'] == district) & (df['Standard Type'] == houseType)
+    try:
+        results = apply_listing_filters(
+            df[mask], bedrooms, bathrooms, furnishing,
+            minSize, maxSize, minPrice, maxPrice
+        )
+    except ValueError:
+        return {"found": False, "error": "Invalid bedroom or bathroom filter"}
+    results, _ = apply_metric(results, metric)
+
+    if results.empty:
+        return {"found": False, "binWidth": binWidth, "distribution": []}
+
+    return {
+        "found": True,
+        "binWidth": binWidth,
+        "distribution": build_distribution(results['Value'], binWidth)
+    }
+
+@app.get("/district-stats")
+def district_stats(houseType: str, state: str = None, metric: str = 'rent'):
+    if df is None:
+        return {"found": False, "error": "Data not loaded"}
+    if metric not in METRICS:
+        return {"found": False, "error": f"Unknown metric {metric}"}
+
+    # Median rent (or rent per sqft) of one property type for every district (of one state, or the whole country)
+    mask = df['Standard Type'] == houseType
+    if state:
+        mask = mask & (df['State'] == state)
+    filtered, _ = apply_metric(df[mask], metric)
+
+    if filtered.empty:
+        return {"found": False, "districts": []}
+
+    grouped = filtered.groupby(['State', 'District'])['Value'].agg(['median', 'count']).reset_index()
+    districts = []
+    for _, row in grouped.iterrows():
+        districts.append({
+            "state": row['State'],
+            "district": row['District'],
+            "medianRent": METRICS[metric]['round'](row['median']),
+            "count": int(row['count'])
+        })
+
+    return {
+        "found": True,
+        "houseType": houseType,
+        "metric": metric,
+        "districts": districts
+    }
@@ -0,0 +1,29 @@
+// Converts the rental CSV into the compact columnar JSON used by the standalone static mode.
+// Usage: node scripts/build-dataset.js [input.csv] [output.json]
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { csvToColumns } from '../src/analysis/csv.js';
+
+const [input = 'backend/data/rentals.csv', output = 'public/data/rentals.json'] = process.argv.slice(2);
+
+// Only the columns the analysis reads
+const KEEP = [
+  'State', 'District', 'Standard Type', 'Rent Price',
+  'No of Bedroom', 'No of Bathroom', 'Furnishing Type', 'Property Size',
+  'Extract Date', 'Latitude', 'Longitude', 'Listing ID',
+];
+
+// Numeric columns are stored as numbers (null when missing) to keep the file small
+const NUMERIC = new Set(['Rent Price', 'No of Bedroom', 'No of Bathroom', 'Property Size', 'Latitude', 'Longitude']);
+
+const { columns } = csvToColumns(readFileSync(input, 'utf8'));
+const compact = {};
+KEEP.filter(name => columns[name]).forEach(name => {
+  compact[name] = NUMERIC.has(name)
+    ? columns[name].map(v => (v === '' || Number.isNaN(Number(v)) ? null : Number(v)))
+    : columns[name];
+});
+
+mkdirSync(dirname(output), { recursive: true });
+writeFileSync(output, JSON.stringify({ columns: compact }));
+console.log(`Wrote ${output}: ${(compact['Rent Price'] || []).length} rows, ${Object.keys(compact).length} columns.`);
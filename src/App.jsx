@@ -1,7 +1,34 @@
-import React, { useState, useEffect } from 'react';
-import { MapContainer, TileLayer, CircleMarker, useMap } from 'react-leaflet';
-import { Building2, Search, DollarSign, Wallet, Info, ArrowRightLeft, ChevronDown, ChevronUp } from 'lucide-react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, BarChart, Bar } from 'recharts';
+import React, { useState, useEffect, useRef, useMemo, useCallback, useEffectEvent } from 'react';
+import { MapContainer, TileLayer, useMap } from 'react-leaflet';
+import { Building2, Search, DollarSign, Wallet, Info, ArrowRightLeft, ChevronDown, ChevronUp, Loader2, AlertTriangle, SearchX, Pin, MapPin, Map as MapIcon, Upload, Database, Dot, Flame, Hexagon, Star } from 'lucide-react';
+import AffordabilityCalculator, { DEFAULT_AFFORDABILITY, getRentBudget } from './components/AffordabilityCalculator';
+import PinnedComparison, { MAX_PINS } from './components/PinnedComparison';
+import DistrictChoropleth, { ChoroplethLegend, matchDistrictStats } from './components/DistrictChoropleth';
+import { RegionDrawLayer, RegionDrawToolbar } from './components/RegionDrawTool';
+import RegionStats from './components/RegionStats';
+import GlListingsLayer from './components/GlListingsLayer';
+import ListingPopup from './components/ListingPopup';
+import LocationPicker, { MapPickLayer } from './components/LocationPicker';
+import FilterControls from './components/FilterControls';
+import ExportMenu, { ChartExportButton } from './components/ExportMenu';
+import PrintReport from './components/PrintReport';
+import Watchlist from './components/Watchlist';
+import TrendChart from './components/TrendChart';
+import DistributionChart from './components/DistributionChart';
+import { getMarkerColor } from './mapColors';
+import { loadDistrictBoundaries, findFeatureAt, getFeatureNames } from './districtBoundaries';
+import { findTreeLocation, findNearestDistrict } from './locationSearch';
+import { isPointInRegion } from './regions';
+import { getExportName, downloadFile, buildResultCsv, buildResultJson, chartToDataUrl, snapshotMap } from './exporters';
+import { EMPTY_FILTERS, pickFilters, getActiveFilters, describeFilters, getQueryKey } from './filters';
+import { summarizePrices, buildHistogram } from './stats';
+import { fetchOptions, searchRentals, fetchPoints, fetchDistrictStats, isAbortError, loadLocalDataset, getDataSourceLabel } from './api';
+import { readSearchFromUrl, writeSearchToUrl, readPinsFromUrl, writePinsToUrl } from './urlState';
+import { readWatchlist, writeWatchlist, createWatchEntry, markViewed } from './watchlist';
+import { METRICS, DEFAULT_BIN_WIDTHS, PLAUSIBLE_SIZE, getMetric, getPointValue, roundValue, getValueFormatter, getMedianLabel } from './metrics';
+import LanguageSwitcher from './components/LanguageSwitcher';
+import { useI18n } from './i18n/I18nProvider';
+import { translateFeature } from './i18n';
 
 // npm run dev
 
@@ -33,106 +60,528 @@ function Tooltip({ text, children }) {
   );
 }
 
-// NEW: Helper to calculate color based on price range
-const getMarkerColor = (price, min, max) => {
-  if (min === max) return '#3b82f6'; // Default blue if only one price
-  
-  // Calculate relative position (0 to 1)
-  let ratio = (price - min) / (max - min);
-  if (ratio < 0) ratio = 0;
-  if (ratio > 1) ratio = 1;
-  
-  // Calculate Hue: 120 (Green) -> 60 (Yellow) -> 0 (Red)
-  const hue = ((1 - ratio) * 120).toString(10);
-  return `hsl(${hue}, 80%, 45%)`;
-};
+// Centered message used for the loading / empty / error states of the results panel
+function PanelMessage({ icon, title, text, action }) {
+  return (
+    <div className="flex-1 flex flex-col items-center justify-center text-gray-400 space-y-3">
+      {icon}
+      <p className="text-lg font-medium">{title}</p>
+      {text && <p className="text-sm text-center max-w-xs">{text}</p>}
+      {action}
+    </div>
+  );
+}
 
 function App() {
+  const i18n = useI18n();
+  const { t, formatCurrency, formatError } = i18n;
+
   // --- STATE ---
-  const [dataOptions, setDataOptions] = useState({ allTypes: [], locationTree: {} });
+  const [dataOptions, setDataOptions] = useState({ allTypes: [], locationTree: {}, districtCentres: {}, furnishingTypes: [] });
   const [selections, setSelections] = useState({ state: '', district: '', houseType: '' });
-  const [districtList, setDistrictList] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [isFiltersOpen, setIsFiltersOpen] = useState(false);
   const [validTypesForArea, setValidTypesForArea] = useState(null);
   
   const [result, setResult] = useState(null);
   const [mapCenter, setMapCenter] = useState([3.1319, 101.6841]); 
   const [loading, setLoading] = useState(true);
+  const [optionsError, setOptionsError] = useState(null);
+  const [dataSourceLabel, setDataSourceLabel] = useState(getDataSourceLabel());
+
+  // Search request status: 'idle' | 'loading' | 'done' | 'empty' | 'error'
+  const [searchStatus, setSearchStatus] = useState('idle');
+  const [searchError, setSearchError] = useState(null);
+  const [activeQuery, setActiveQuery] = useState(null);
+  const [emptyTotalCount, setEmptyTotalCount] = useState(0);
+  const [emptyExcludedCount, setEmptyExcludedCount] = useState(0);
+  const searchController = useRef(null);
+
+  // Analysis metric: 'rent' (total monthly rent) or 'sqft' (rent per square foot), see metrics.js.
+  // The ref lets searches started by the URL handlers use the current one.
+  const [metric, setMetric] = useState('rent');
+  const metricRef = useRef(metric);
   
+  // Personal affordability inputs (kept across searches)
+  const [affordability, setAffordability] = useState(DEFAULT_AFFORDABILITY);
+
+  // Areas pinned for side-by-side comparison: [{ key, query, data }]
+  const [pins, setPins] = useState([]);
+  // Failed pin or watchlist action on the current result: { message, error }
+  const [resultActionError, setResultActionError] = useState(null);
+  const pinsRef = useRef(pins);
+  const [pinsRestored, setPinsRestored] = useState(false);
+
+  // Starred analyses saved in the browser: [{ key, query, saved, lastViewed }]
+  const [watchlist, setWatchlist] = useState(readWatchlist);
+
+  // Map mode: 'points' (listings of the current result) or 'districts' (choropleth of median rent)
+  const [mapMode, setMapMode] = useState('points');
+  const [choroplethScope, setChoroplethScope] = useState({ state: '', houseType: '' });
+  const [boundaries, setBoundaries] = useState(null);
+  const [districtStats, setDistrictStats] = useState([]);
+  const [districtMetric, setDistrictMetric] = useState('rent');
+  const [choroplethError, setChoroplethError] = useState(null);
+
+  // How listings are drawn in point mode: 'points' | 'heatmap' | 'hexbins'
+  const [pointStyle, setPointStyle] = useState('points');
+  // Median rent range of the hex bins currently drawn (for the legend)
+  const [hexRange, setHexRange] = useState(null);
+
+  // Custom catchment area drawn on the map (see regions.js) and the active drawing tool
+  const [drawTool, setDrawTool] = useState(null);
+  const [drawnRegion, setDrawnRegion] = useState(null);
+
+  // Map point whose popup is open, with the result it belongs to (a new search closes it)
+  const [selectedListing, setSelectedListing] = useState(null);
+
+  // Picking the district by clicking the map, and the i18n key of the last failed pick
+  const [isPickingLocation, setIsPickingLocation] = useState(false);
+  const [pickError, setPickError] = useState(null);
+  const typeSelectRef = useRef(null);
+
+  // Map instance and chart containers, read when exporting images
+  const mapRef = useRef(null);
+  const trendChartRef = useRef(null);
+  const distributionChartRef = useRef(null);
+
+  // Printable report: { images, generatedAt } while printing, null otherwise
+  const [report, setReport] = useState(null);
+  const [isPreparingReport, setIsPreparingReport] = useState(false);
+
   // State for collapsible search
   const [isSearchOpen, setIsSearchOpen] = useState(true);
 
   // --- 1. LOAD OPTIONS ---
-  useEffect(() => {
-    fetch('http://127.0.0.1:8000/options')
-      .then(res => res.json())
+  const loadOptions = (signal) => {
+    setOptionsError(null);
+    fetchOptions({ signal })
       .then(data => {
-        setDataOptions({ allTypes: data.all_types, locationTree: data.location_tree });
+        setDataOptions({
+          allTypes: data.all_types,
+          locationTree: data.location_tree,
+          districtCentres: data.district_centres || {},
+          furnishingTypes: data.furnishing_types || [],
+        });
+        setDataSourceLabel(getDataSourceLabel());
         setLoading(false);
       })
-      .catch(err => console.error("Failed to load options", err));
+      .catch(err => {
+        if (isAbortError(err)) return;
+        console.error("Failed to load options", err);
+        setOptionsError(err);
+      });
+  };
+
+  useEffect(() => {
+    const controller = new AbortController();
+    loadOptions(controller.signal);
+    return () => controller.abort();
   }, []);
 
+  // Standalone mode: analyse an uploaded CSV/JSON dataset in the browser instead of the API
+  const handleDatasetUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    clearResult();
+    setLoading(true);
+    setOptionsError(null);
+    try {
+      await loadLocalDataset(file);
+      loadOptions();
+    } catch (err) {
+      console.error("Failed to load dataset", err);
+      setOptionsError(err);
+    }
+  };
+
   // --- 2. CORE SEARCH LOGIC ---
-  const executeSearch = async (searchParams) => {
+  // updateUrl is false when the search comes from the URL itself (page load, back/forward)
+  const executeSearch = async (searchParams, { updateUrl = true, metric: searchMetric = metricRef.current } = {}) => {
     if (!searchParams.state || !searchParams.district || !searchParams.houseType) return;
 
+    // Location plus only the listing filters that are set
+    const query = {
+      state: searchParams.state,
+      district: searchParams.district,
+      houseType: searchParams.houseType,
+      ...getActiveFilters(searchParams),
+    };
+
+    // Cancel the previous search so a slow older response can't overwrite this one
+    if (searchController.current) searchController.current.abort();
+    const controller = new AbortController();
+    searchController.current = controller;
+
+    setActiveQuery(query);
+    setSearchStatus('loading');
+    setSearchError(null);
+    setResultActionError(null);
+
     try {
-      const q = new URLSearchParams(searchParams).toString();
-      const response = await fetch(`http://127.0.0.1:8000/search?${q}`);
-      const data = await response.json();
+      // The map's listings come from their own endpoint, which only this search needs
+      const params = { ...query, metric: searchMetric };
+      const [data, { points }] = await Promise.all([
+        searchRentals(params, { signal: controller.signal }),
+        fetchPoints(params, { signal: controller.signal }),
+      ]);
+      if (controller.signal.aborted) return;
 
       if (data.found) {
-        setResult({ ...data, query: searchParams });
-        if (data.points.length > 0) {
+        setResult({ ...data, points, query });
+        setSearchStatus('done');
+        // Watchlist figures are total rent
+        if (getMetric(data) === 'rent') setWatchlist(prev => markViewed(prev, getQueryKey(query), data));
+        if (updateUrl) writeSearchToUrl({ ...query, metric: searchMetric === 'rent' ? '' : searchMetric });
+        if (points.length > 0) {
             setMapCenter(data.coordinates);
         }
       } else {
-        alert("No data found.");
+        setResult(null);
+        setEmptyTotalCount(data.totalCount || 0);
+        setEmptyExcludedCount(data.excludedCount || 0);
+        setSearchStatus('empty');
       }
     } catch (error) {
+      if (isAbortError(error)) return;
       console.error("Error:", error);
+      setResult(null);
+      setSearchError(error);
+      setSearchStatus('error');
     }
   };
 
-  // --- 3. HANDLERS ---
-  const handleStateChange = (e) => {
-    const s = e.target.value;
-    setSelections(prev => ({ ...prev, state: s, district: '', houseType: '' }));
-    setValidTypesForArea(null);
+  // Helper: Drops the current result (and any search still running) when the form changes
+  const clearResult = () => {
+    if (searchController.current) searchController.current.abort();
     setResult(null);
+    setSearchStatus('idle');
+  };
+
+  // Helper: Sets all three dropdowns (and the listing filters) at once,
+  // keeping only locations that exist in the location tree
+  const applySelections = (params) => {
+    setFilters(pickFilters(params));
+
+    const districts = dataOptions.locationTree[params.state];
+    if (!districts) {
+      setSelections({ state: '', district: '', houseType: '' });
+      setValidTypesForArea(null);
+      return null;
+    }
+
+    const types = districts[params.district];
+    const next = {
+      state: params.state,
+      district: types ? params.district : '',
+      houseType: types && types.includes(params.houseType) ? params.houseType : '',
+    };
+    setSelections(next);
+    setValidTypesForArea(types || null);
+    return next;
+  };
 
-    if (s && dataOptions.locationTree[s]) {
-      setDistrictList(Object.keys(dataOptions.locationTree[s]).sort());
+  // --- 2b. RESTORE FROM URL (on load and on browser back/forward) ---
+  // An effect event: it sees the latest location tree without re-subscribing the listener below
+  const restoreFromUrl = useEffectEvent(() => {
+    const params = readSearchFromUrl();
+    const restored = applySelections(params);
+    const urlMetric = METRICS.includes(params.metric) ? params.metric : 'rent';
+    setMetric(urlMetric);
+    metricRef.current = urlMetric;
+    if (restored && restored.houseType) {
+      executeSearch({ ...params, ...restored }, { updateUrl: false, metric: urlMetric });
     } else {
-      setDistrictList([]);
+      clearResult();
+    }
+  });
+
+  useEffect(() => {
+    if (loading) return;
+
+    // Pins aren't part of the history steps, so going back/forward keeps the current ones
+    const handlePopState = () => {
+      restoreFromUrl();
+      writePinsToUrl(pinsRef.current.map(pin => pin.query));
+    };
+
+    restoreFromUrl();
+    restorePinsFromUrl();
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [loading]);
+
+  // --- 2c. PINNED AREAS ---
+  useEffect(() => {
+    pinsRef.current = pins;
+    // Wait for the pins in a pasted link to load before touching the URL
+    if (pinsRestored) writePinsToUrl(pins.map(pin => pin.query));
+  }, [pins, pinsRestored]);
+
+  // Effect event for the restore effect above, which runs it once the options are in
+  const restorePinsFromUrl = useEffectEvent(async () => {
+    const tree = dataOptions.locationTree;
+    const queries = readPinsFromUrl()
+      .filter(q => tree[q.state] && tree[q.state][q.district] && tree[q.state][q.district].includes(q.houseType))
+      .slice(0, MAX_PINS);
+
+    const restored = await Promise.all(queries.map(async (query) => {
+      try {
+        const data = await searchRentals({ ...query, metric: 'rent' });
+        return data.found ? { key: getQueryKey(query), query, data } : null;
+      } catch (error) {
+        console.error("Failed to restore pin", error);
+        return null;
+      }
+    }));
+    setPins(restored.filter(Boolean));
+    setPinsRestored(true);
+  });
+
+  // Helper: Total-rent figures of the current result, which pins and the watchlist compare
+  // whichever metric is on screen (usually cached from an earlier search in total rent)
+  const getRentFigures = () => (
+    getMetric(result) === 'rent' ? Promise.resolve(result) : searchRentals({ ...result.query, metric: 'rent' })
+  );
+
+  const handlePinResult = async () => {
+    const { query } = result;
+    const key = getQueryKey(query);
+    setResultActionError(null);
+    try {
+      const data = await getRentFigures();
+      setPins(prev => (
+        prev.length >= MAX_PINS || prev.some(pin => pin.key === key)
+          ? prev
+          : [...prev, { key, query, data }]
+      ));
+    } catch (error) {
+      setResultActionError({ message: 'results.pinFailed', error });
     }
   };
 
-  const handleDistrictChange = (e) => {
-    const d = e.target.value;
-    setSelections(prev => ({ ...prev, district: d, houseType: '' }));
-    setResult(null);
+  const handleUnpin = (key) => {
+    setPins(prev => prev.filter(pin => pin.key !== key));
+  };
 
-    if (selections.state && d) {
-      setValidTypesForArea(dataOptions.locationTree[selections.state][d]);
-    } else {
-      setValidTypesForArea(null);
+  // Opens a pinned or watched analysis in the search form and results panel
+  const handleOpenQuery = (query) => {
+    applySelections(query);
+    executeSearch(query);
+  };
+
+  // --- 2d. DISTRICT CHOROPLETH ---
+  const choroplethType = choroplethScope.houseType || selections.houseType || dataOptions.allTypes[0] || '';
+
+  useEffect(() => {
+    if (mapMode !== 'districts' || !choroplethType) return;
+
+    const controller = new AbortController();
+    setChoroplethError(null);
+
+    Promise.all([
+      loadDistrictBoundaries(),
+      fetchDistrictStats(
+        choroplethScope.state
+          ? { houseType: choroplethType, state: choroplethScope.state, metric }
+          : { houseType: choroplethType, metric },
+        { signal: controller.signal }
+      ),
+    ])
+      .then(([geo, stats]) => {
+        setBoundaries(geo);
+        setDistrictStats(stats.districts || []);
+        setDistrictMetric(getMetric(stats));
+      })
+      .catch(err => {
+        if (isAbortError(err)) return;
+        console.error("Failed to load district map", err);
+        setChoroplethError(err);
+      });
+
+    return () => controller.abort();
+  }, [mapMode, choroplethType, choroplethScope.state, metric]);
+
+  const unmatchedDistricts = boundaries ? matchDistrictStats(boundaries.features, districtStats).unmatchedDistricts : [];
+
+  const handleDistrictClick = (stat) => {
+    if (isPickingLocation) return;
+    const query = { state: stat.state, district: stat.district, houseType: choroplethType, ...filters };
+    applySelections(query);
+    executeSearch(query);
+  };
+
+  // Helper: Colour of a listing on the price scale of the current result (mapMin/mapMax are in its metric)
+  const colorOfPrice = useCallback(
+    (price) => getMarkerColor(price, result ? result.mapMin : 0, result ? result.mapMax : 0),
+    [result]
+  );
+
+  // --- 2e. DRAWN REGION STATS (computed from the mapped listing points) ---
+  const regionAnalysis = useMemo(() => {
+    if (!drawnRegion || !result || !result.points) return null;
+    const resultMetric = getMetric(result);
+    const prices = result.points
+      .filter(pt => isPointInRegion(drawnRegion, pt[0], pt[1]))
+      .map(pt => getPointValue(pt, resultMetric));
+    return {
+      stats: summarizePrices(prices, value => roundValue(value, resultMetric)),
+      histogram: buildHistogram(prices, DEFAULT_BIN_WIDTHS[resultMetric]),
+    };
+  }, [drawnRegion, result]);
+
+  const handleRegionDrawn = (region) => {
+    setDrawnRegion(region);
+    setDrawTool(null);
+  };
+
+  // --- 2f. EXPORTS ---
+  const handleExportCsv = () => {
+    downloadFile(`${getExportName(result)}.csv`, buildResultCsv(result), 'text/csv;charset=utf-8');
+  };
+
+  const handleExportJson = () => {
+    downloadFile(`${getExportName(result)}.json`, buildResultJson(result), 'application/json');
+  };
+
+  // Captures the map and charts as images, then prints the report once it has rendered
+  const handlePrintReport = async () => {
+    setIsPreparingReport(true);
+    const capture = (promise) => promise.catch(err => {
+      console.error("Failed to capture image for report", err);
+      return null;
+    });
+    const [map, trend, distribution] = await Promise.all([
+      capture(mapRef.current ? snapshotMap(mapRef.current) : Promise.resolve(null)),
+      capture(chartToDataUrl(trendChartRef.current)),
+      capture(chartToDataUrl(distributionChartRef.current)),
+    ]);
+    setIsPreparingReport(false);
+    setReport({ images: { map, trend, distribution }, generatedAt: new Date() });
+  };
+
+  useEffect(() => {
+    if (!report) return;
+    const handleAfterPrint = () => setReport(null);
+    window.addEventListener('afterprint', handleAfterPrint);
+    // Give the report images a frame to render before the print dialog opens
+    const timer = setTimeout(() => window.print(), 100);
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener('afterprint', handleAfterPrint);
+    };
+  }, [report]);
+
+  // --- 2g. WATCHLIST ---
+  useEffect(() => {
+    writeWatchlist(watchlist);
+  }, [watchlist]);
+
+  const handleToggleWatch = async () => {
+    const { query } = result;
+    const key = getQueryKey(query);
+    setResultActionError(null);
+    if (watchlist.some(entry => entry.key === key)) {
+      setWatchlist(prev => prev.filter(entry => entry.key !== key));
+      return;
+    }
+    try {
+      const data = await getRentFigures();
+      setWatchlist(prev => (prev.some(entry => entry.key === key) ? prev : [...prev, createWatchEntry(query, data)]));
+    } catch (error) {
+      setResultActionError({ message: 'watchlist.starFailed', error });
     }
   };
 
+  const handleUnwatch = (key) => {
+    setWatchlist(prev => prev.filter(entry => entry.key !== key));
+  };
+
+  // Takes the figures the dashboard just loaded ({ key: data }) as every card's last-viewed values
+  const handleMarkAllViewed = (dataByKey) => {
+    setWatchlist(prev => Object.entries(dataByKey).reduce((entries, [key, data]) => markViewed(entries, key, data), prev));
+  };
+
+  // --- 3. HANDLERS ---
+  // Location chosen in the picker or on the map; the property type is kept if the new district has it
+  const handleLocationSelect = ({ state, district }) => {
+    const types = state && district ? dataOptions.locationTree[state][district] : null;
+    setSelections(prev => ({ state, district, houseType: types && types.includes(prev.houseType) ? prev.houseType : '' }));
+    setValidTypesForArea(types);
+    setPickError(null);
+    clearResult();
+  };
+
+  const handlePickToggle = () => {
+    setIsPickingLocation(prev => !prev);
+    setPickError(null);
+    setDrawTool(null);
+  };
+
+  const handleDrawToolChange = (tool) => {
+    setDrawTool(tool);
+    setIsPickingLocation(false);
+  };
+
+  // Looks up the district under a map click in the boundary file and selects it in the form
+  const handleMapPick = async (latlng) => {
+    setIsPickingLocation(false);
+    setIsSearchOpen(true);
+    let location = null;
+    try {
+      const geojson = await loadDistrictBoundaries();
+      const feature = findFeatureAt(geojson.features, latlng.lat, latlng.lng);
+      location = feature && findTreeLocation(dataOptions.locationTree, getFeatureNames(feature));
+    } catch {
+      // Without boundaries, the district whose listings are nearest the click is picked instead
+      if (Object.keys(dataOptions.districtCentres).length === 0) {
+        setPickError('picker.boundariesUnavailable');
+        return;
+      }
+      location = findNearestDistrict(dataOptions.districtCentres, latlng.lat, latlng.lng);
+    }
+    if (!location) {
+      setPickError('picker.noDistrictHere');
+      return;
+    }
+    handleLocationSelect(location);
+    // Next step is the property type
+    requestAnimationFrame(() => typeSelectRef.current && typeSelectRef.current.focus());
+  };
+
+  // Re-runs the current analysis in the other metric (a new history step, like any other search)
+  const handleMetricChange = (next) => {
+    setMetric(next);
+    metricRef.current = next;
+    if (activeQuery && searchStatus !== 'idle') executeSearch(activeQuery, { metric: next });
+  };
+
   const handleSearchSubmit = (e) => {
     e.preventDefault();
-    executeSearch(selections);
+    executeSearch({ ...selections, ...filters });
+  };
+
+  // Same location and type again, without any listing filters
+  const handleClearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    executeSearch({ state: activeQuery.state, district: activeQuery.district, houseType: activeQuery.houseType });
   };
 
   const handleCompareClick = (newType) => {
     const newSelections = { ...selections, houseType: newType };
     setSelections(newSelections); 
-    executeSearch(newSelections); 
+    executeSearch({ ...newSelections, ...filters }); 
   };
 
+  // Money formatting for the figures of the current result (two decimals for RM per sqft)
+  const resultMetric = getMetric(result);
+  const formatValue = getValueFormatter(resultMetric, i18n);
+
   return (
-    <div className="min-h-screen bg-gray-50 flex flex-col font-sans text-gray-800">
+    <>
+    <div className="min-h-screen bg-gray-50 flex flex-col font-sans text-gray-800 print:hidden">
       
       {/* NAVBAR */}
       <nav className="bg-white border-b border-gray-200 h-14 flex items-center px-6 shrink-0 z-50 sticky top-0">
@@ -140,6 +589,18 @@ function App() {
           <Building2 size={24} />
           <span className="text-lg font-bold tracking-tight">RentVision</span>
         </div>
+        <div className="ml-auto flex items-center gap-3 text-xs">
+          <span className="hidden sm:flex items-center gap-1.5 text-gray-500" title={t('nav.dataSourceHint')}>
+            <Database size={14} /> {dataSourceLabel || t('nav.apiServer')}
+          </span>
+          <label className="flex items-center gap-1.5 px-3 py-1.5 font-medium rounded-md border border-gray-200 text-gray-600 hover:bg-gray-50 cursor-pointer transition-colors"
+            title={t('nav.loadDatasetHint')}>
+            <Upload size={14} />
+            {t('nav.loadDataset')}
+            <input type="file" accept=".csv,.json,text/csv,application/json" className="hidden" onChange={handleDatasetUpload} />
+          </label>
+          <LanguageSwitcher />
+        </div>
       </nav>
 
       {/* MAIN CONTAINER */}
@@ -147,12 +608,23 @@ function App() {
         
         {/* HEADER SECTION */}
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 shrink-0">
-            <h1 className="text-3xl font-bold text-gray-900 mb-3">Rental Market Analysis</h1>
+            <h1 className="text-3xl font-bold text-gray-900 mb-3">{t('header.title')}</h1>
             <p className="text-gray-600 leading-relaxed max-w-4xl">
-              Select a region below to see median rental prices, affordability metrics based on the 30% rule, and available property features.
+              {t('header.intro')}
             </p>
         </div>
 
+        {/* WATCHLIST */}
+        {watchlist.length > 0 && (
+          <Watchlist
+            entries={watchlist}
+            source={dataSourceLabel}
+            onOpen={handleOpenQuery}
+            onRemove={handleUnwatch}
+            onMarkAllViewed={handleMarkAllViewed}
+          />
+        )}
+
         {/* CONTENT GRID (Split View) */}
         <div className="flex flex-col lg:flex-row gap-6 items-start">
           
@@ -161,39 +633,139 @@ function App() {
               
               {/* MAP CARD */}
               <div className="h-[650px] bg-white rounded-xl shadow-md border border-gray-200 relative overflow-hidden group">
-                  <MapContainer center={mapCenter} zoom={12} className="h-full w-full z-0">
-                      <TileLayer attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors' url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"/>
-                      <MapUpdater center={mapCenter} />
-
-                      {/* DISTRIBUTION DOTS WITH GRADIENT */}
-                      {result && result.points && result.points.map((pt, idx) => {
-                          // pt[0] = Lat, pt[1] = Lng, pt[2] = Price
-                          const color = getMarkerColor(pt[2], result.mapMin, result.mapMax);
-                          return (
-                            <CircleMarker 
-                                key={idx}
-                                center={[pt[0], pt[1]]}
-                                radius={4}
-                                pathOptions={{ 
-                                  color: "#000000", 
-                                  fillColor: color, 
-                                  fillOpacity: 0.7, 
-                                  weight: 1 // Remove border for cleaner gradient look
-                                }} 
-                            />
-                          )
-                      })}
+                  <MapContainer ref={mapRef} center={mapCenter} zoom={12} className="h-full w-full z-0">
+                      {/* crossOrigin lets the report snapshot read the tiles */}
+                      <TileLayer crossOrigin={true} attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors' url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"/>
+                      {/* The choropleth fits its own bounds, so only re-center in point mode */}
+                      {mapMode === 'points' && <MapUpdater center={mapCenter} />}
+
+                      {/* DISTRICT CHOROPLETH */}
+                      {mapMode === 'districts' && boundaries && (
+                        <DistrictChoropleth
+                          boundaries={boundaries}
+                          scopeState={choroplethScope.state}
+                          districts={districtStats}
+                          metric={districtMetric}
+                          onDistrictClick={handleDistrictClick}
+                        />
+                      )}
+
+                      {/* DRAWN REGION */}
+                      {mapMode === 'points' && result && (
+                        <RegionDrawLayer tool={drawTool} region={drawnRegion} onDrawn={handleRegionDrawn} />
+                      )}
+
+                      {/* LISTINGS (GPU-rendered points, heatmap or hex bins) */}
+                      {mapMode === 'points' && result && result.points && (
+                        <GlListingsLayer
+                          points={result.points}
+                          style={pointStyle}
+                          metric={resultMetric}
+                          colorOf={colorOfPrice}
+                          onHexBinsChange={setHexRange}
+                          onPointClick={drawTool || isPickingLocation ? null : (point) => setSelectedListing({ result, point })}
+                        />
+                      )}
+
+                      {/* LISTING POPUP */}
+                      {mapMode === 'points' && pointStyle === 'points' && selectedListing && selectedListing.result === result && (
+                        <ListingPopup
+                          point={selectedListing.point}
+                          points={result.points}
+                          medianRent={result.medianRent}
+                          metric={resultMetric}
+                          onSelect={(point) => setSelectedListing({ result, point })}
+                          onClose={() => setSelectedListing(null)}
+                        />
+                      )}
+
+                      <MapPickLayer active={isPickingLocation} onPick={handleMapPick} />
                   </MapContainer>
 
+                  {/* MAP MODE TOGGLE & CHOROPLETH CONTROLS */}
+                  <div className="absolute top-4 right-4 z-[1000] bg-white/95 backdrop-blur-sm rounded-lg shadow-xl border border-gray-200 p-2 w-52 space-y-2">
+                      <div className="flex rounded-md bg-gray-100 p-0.5 text-xs font-medium">
+                        <button onClick={() => setMapMode('points')}
+                          className={`flex-1 flex items-center justify-center gap-1 py-1.5 rounded ${mapMode === 'points' ? 'bg-white shadow-sm text-blue-700' : 'text-gray-500 hover:text-gray-700'}`}>
+                          <MapPin size={14} /> {t('map.listings')}
+                        </button>
+                        <button onClick={() => setMapMode('districts')}
+                          className={`flex-1 flex items-center justify-center gap-1 py-1.5 rounded ${mapMode === 'districts' ? 'bg-white shadow-sm text-blue-700' : 'text-gray-500 hover:text-gray-700'}`}>
+                          <MapIcon size={14} /> {t('map.districts')}
+                        </button>
+                      </div>
+                      {mapMode === 'points' && (
+                        <div className="flex rounded-md bg-gray-100 p-0.5 text-xs font-medium">
+                          {[
+                            { id: 'points', label: 'map.points', icon: Dot },
+                            { id: 'heatmap', label: 'map.density', icon: Flame },
+                            { id: 'hexbins', label: 'map.hexes', icon: Hexagon },
+                          ].map(({ id, label, icon: Icon }) => (
+                            <button key={id} onClick={() => setPointStyle(id)}
+                              className={`flex-1 flex items-center justify-center gap-1 py-1.5 rounded ${pointStyle === id ? 'bg-white shadow-sm text-blue-700' : 'text-gray-500 hover:text-gray-700'}`}>
+                              <Icon size={14} /> {t(label)}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                      {mapMode === 'districts' && !loading && (
+                        <>
+                          <select className="w-full text-xs p-2 border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+                            value={choroplethScope.state} onChange={e => setChoroplethScope(p => ({ ...p, state: e.target.value }))}>
+                            <option value="">{t('map.allMalaysia')}</option>
+                            {Object.keys(dataOptions.locationTree).sort().map(s => <option key={s} value={s}>{s}</option>)}
+                          </select>
+                          <select className="w-full text-xs p-2 border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+                            value={choroplethType} onChange={e => setChoroplethScope(p => ({ ...p, houseType: e.target.value }))}>
+                            {dataOptions.allTypes.map(type => <option key={type} value={type}>{type}</option>)}
+                          </select>
+                          {choroplethError && (
+                            <p className="text-xs text-red-600">{formatError(choroplethError)}</p>
+                          )}
+                        </>
+                      )}
+                  </div>
+
+                  {/* DISTRICT LEGEND */}
+                  {mapMode === 'districts' && boundaries && districtStats.length > 0 && (
+                    <div className="absolute bottom-4 right-4 z-[999] bg-white/90 backdrop-blur px-3 py-2 rounded-lg shadow-md border border-gray-200 text-xs">
+                       <div className="font-bold mb-1 text-gray-700">{t(districtMetric === 'sqft' ? 'metric.choroplethTitle' : 'map.choroplethTitle', { type: choroplethType })}</div>
+                       <ChoroplethLegend districts={districtStats} metric={districtMetric} />
+                       {unmatchedDistricts.length > 0 && (
+                         <div className="mt-1 pt-1 border-t border-gray-200 text-gray-400 max-w-[180px]" title={unmatchedDistricts.map(d => d.district).join(', ')}>
+                           {t('map.unmatchedDistricts', { count: unmatchedDistricts.length })}
+                         </div>
+                       )}
+                    </div>
+                  )}
+
+                  {/* DRAW TOOLBAR */}
+                  {mapMode === 'points' && result && (
+                    <RegionDrawToolbar tool={drawTool} region={drawnRegion} onToolChange={handleDrawToolChange} onClear={() => setDrawnRegion(null)} />
+                  )}
+
                   {/* PRICE LEGEND (Only if results exist) */}
-                  {result && (
+                  {mapMode === 'points' && result && (
                     <div className="absolute bottom-4 right-4 z-[999] bg-white/90 backdrop-blur px-3 py-2 rounded-lg shadow-md border border-gray-200 text-xs">
-                       <div className="font-bold mb-1 text-gray-700">Price Heatmap</div>
-                       <div className="flex items-center gap-2">
-                          <span className="text-gray-500">Low</span>
-                          <div className="w-24 h-2 rounded bg-gradient-to-r from-green-500 via-yellow-400 to-red-500"></div>
-                          <span className="text-gray-500">High</span>
-                       </div>
+                       {pointStyle === 'heatmap' ? (
+                         <>
+                           <div className="font-bold mb-1 text-gray-700">{t('map.listingDensity')}</div>
+                           <div className="flex items-center gap-2">
+                              <span className="text-gray-500">{t('map.few')}</span>
+                              <div className="w-24 h-2 rounded bg-gradient-to-r from-blue-400 via-yellow-400 to-red-600"></div>
+                              <span className="text-gray-500">{t('map.many')}</span>
+                           </div>
+                         </>
+                       ) : (
+                         <>
+                           <div className="font-bold mb-1 text-gray-700">{pointStyle === 'hexbins' ? t(resultMetric === 'sqft' ? 'metric.medianPerHex' : 'map.medianPerHex') : t('map.priceHeatmap')}</div>
+                           <div className="flex items-center gap-2">
+                              <span className="text-gray-500">{pointStyle === 'hexbins' && hexRange ? formatValue(hexRange.min) : t('map.low')}</span>
+                              <div className="w-24 h-2 rounded bg-gradient-to-r from-green-500 via-yellow-400 to-red-500"></div>
+                              <span className="text-gray-500">{pointStyle === 'hexbins' && hexRange ? formatValue(hexRange.max) : t('map.high')}</span>
+                           </div>
+                         </>
+                       )}
                     </div>
                   )}
 
@@ -208,9 +780,9 @@ function App() {
                         <div className="flex items-center gap-2 text-blue-700">
                             <Search size={18} />
                             {isSearchOpen ? (
-                                <h2 className="font-semibold text-sm whitespace-nowrap">Find Rental Data</h2>
+                                <h2 className="font-semibold text-sm whitespace-nowrap">{t('search.title')}</h2>
                             ) : (
-                                <h2 className="font-semibold text-sm whitespace-nowrap">Search Filters</h2>
+                                <h2 className="font-semibold text-sm whitespace-nowrap">{t('search.collapsedTitle')}</h2>
                             )}
                         </div>
                         <button className="text-gray-400 hover:text-blue-600 transition-colors">
@@ -218,43 +790,53 @@ function App() {
                         </button>
                       </div>
                       
-                      <div className={`overflow-hidden transition-all duration-300 ${isSearchOpen ? 'max-h-[500px] opacity-100 mt-4' : 'max-h-0 opacity-0 mt-0'}`}>
-                        {loading ? (
-                            <div className="text-xs text-center text-gray-400 py-4">Loading database...</div>
+                      <div className={`transition-all duration-300 ${isSearchOpen ? 'max-h-[540px] overflow-y-auto opacity-100 mt-4' : 'max-h-0 overflow-hidden opacity-0 mt-0'}`}>
+                        {optionsError ? (
+                            <div className="text-xs text-center text-red-600 py-4 space-y-2">
+                                <p>{formatError(optionsError)}</p>
+                                <button type="button" onClick={() => loadOptions()} className="font-semibold text-blue-600 hover:text-blue-700">
+                                    {t('common.tryAgain')}
+                                </button>
+                            </div>
+                        ) : loading ? (
+                            <div className="text-xs text-center text-gray-400 py-4">{t('search.loadingDatabase')}</div>
                         ) : (
                             <form onSubmit={handleSearchSubmit} className="space-y-4">
                                 <div>
-                                    <label className="block text-xs font-bold text-gray-500 uppercase mb-1">State</label>
-                                    <select className="w-full text-sm p-2.5 border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-blue-500 outline-none"
-                                        value={selections.state} onChange={handleStateChange}>
-                                        <option value="">Select State</option>
-                                        {Object.keys(dataOptions.locationTree).sort().map(s => <option key={s} value={s}>{s}</option>)}
-                                    </select>
+                                    <label className="block text-xs font-bold text-gray-500 uppercase mb-1">{t('picker.label')}</label>
+                                    <LocationPicker
+                                        locationTree={dataOptions.locationTree}
+                                        state={selections.state}
+                                        district={selections.district}
+                                        onSelect={handleLocationSelect}
+                                        isPicking={isPickingLocation}
+                                        onPickToggle={handlePickToggle}
+                                    />
+                                    {pickError && <p className="mt-1 text-xs text-amber-700">{t(pickError)}</p>}
                                 </div>
                                 <div>
-                                    <label className="block text-xs font-bold text-gray-500 uppercase mb-1">District</label>
-                                    <select className="w-full text-sm p-2.5 border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-blue-500 outline-none disabled:bg-gray-100 disabled:text-gray-400"
-                                        value={selections.district} onChange={handleDistrictChange} disabled={!selections.state}>
-                                        <option value="">{selections.state ? "Select District" : "--"}</option>
-                                        {districtList.map(d => <option key={d} value={d}>{d}</option>)}
-                                    </select>
-                                </div>
-                                <div>
-                                    <label className="block text-xs font-bold text-gray-500 uppercase mb-1">Property Type</label>
-                                    <select className="w-full text-sm p-2.5 border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-blue-500 outline-none disabled:bg-gray-100 disabled:text-gray-400"
+                                    <label className="block text-xs font-bold text-gray-500 uppercase mb-1">{t('common.propertyType')}</label>
+                                    <select ref={typeSelectRef} className="w-full text-sm p-2.5 border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-blue-500 outline-none disabled:bg-gray-100 disabled:text-gray-400"
                                         value={selections.houseType} 
                                         onChange={e => setSelections(p => ({...p, houseType: e.target.value}))} 
                                         disabled={!selections.district}
                                     >
-                                        <option value="">{selections.district ? "Select Type" : "--"}</option>
+                                        <option value="">{selections.district ? t('search.selectType') : "--"}</option>
                                         {dataOptions.allTypes.map(type => {
                                             const isAvailable = validTypesForArea ? validTypesForArea.includes(type) : true;
                                             return <option key={type} value={type} disabled={!isAvailable} className={!isAvailable ? "text-gray-400 bg-gray-50" : ""}>{type}</option>
                                         })}
                                     </select>
                                 </div>
-                                <button type="submit" className="w-full bg-blue-600 hover:bg-blue-700 text-white font-medium py-2.5 rounded-md shadow-sm transition duration-200">
-                                    Analyze Market
+                                <FilterControls
+                                    filters={filters}
+                                    onChange={setFilters}
+                                    furnishingTypes={dataOptions.furnishingTypes}
+                                    isOpen={isFiltersOpen}
+                                    onToggle={() => setIsFiltersOpen(!isFiltersOpen)}
+                                />
+                                <button type="submit" disabled={searchStatus === 'loading'} className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white font-medium py-2.5 rounded-md shadow-sm transition duration-200">
+                                    {searchStatus === 'loading' ? t('search.analyzing') : t('search.analyze')}
                                 </button>
                             </form>
                         )}
@@ -265,54 +847,193 @@ function App() {
               {/* FOOTER NOTE */}
               <div className="bg-white border border-gray-300 rounded-lg p-3 text-center shadow-sm">
                   <p className="text-sm font-medium italic text-gray-700">
-                    Note: The distribution within the map only shows the rental listing with spatial information.
+                    {t('map.spatialNote')}
                   </p>
               </div>
           </div>
 
           {/* RIGHT COLUMN: ANALYSIS RESULTS */}
           <div className="w-full lg:w-2/5 bg-white p-6 rounded-xl shadow-md border border-gray-200 min-h-[650px] flex flex-col">
-            <h3 className="text-xl font-bold text-gray-900 mb-6 leading-snug">
-                {result 
-                    ? `Analysis Result of ${result.query.houseType} in ${result.query.district}, ${result.query.state}` 
-                    : "Analysis Result"}
-            </h3>
+            <div className="flex items-start justify-between gap-4 mb-6">
+              <h3 className="text-xl font-bold text-gray-900 leading-snug">
+                  {result && searchStatus === 'done'
+                      ? t('results.titleFor', { type: result.query.houseType, district: result.query.district, state: result.query.state })
+                      : t('results.title')}
+              </h3>
+              {result && searchStatus === 'done' && (
+                <div className="flex items-center gap-2 shrink-0">
+                  {(() => {
+                    const isPinned = pins.some(pin => pin.key === getQueryKey(result.query));
+                    return (
+                      <button
+                        onClick={handlePinResult}
+                        disabled={isPinned || pins.length >= MAX_PINS}
+                        title={isPinned ? t('results.alreadyPinned') : pins.length >= MAX_PINS ? t('results.pinLimit', { max: MAX_PINS }) : t('results.pinHint')}
+                        className="flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium rounded-md border border-blue-200 text-blue-600 hover:bg-blue-50 disabled:border-gray-200 disabled:text-gray-400 disabled:hover:bg-transparent transition-colors"
+                      >
+                        <Pin size={14} />
+                        {isPinned ? t('results.pinned') : t('results.pin')}
+                      </button>
+                    );
+                  })()}
+                  {(() => {
+                    const isWatched = watchlist.some(entry => entry.key === getQueryKey(result.query));
+                    return (
+                      <button
+                        onClick={handleToggleWatch}
+                        title={isWatched ? t('watchlist.unstar') : t('watchlist.star')}
+                        aria-pressed={isWatched}
+                        className="flex items-center px-2 py-1.5 rounded-md border border-amber-200 text-amber-500 hover:bg-amber-50 transition-colors"
+                      >
+                        <Star size={14} className={isWatched ? 'fill-amber-400' : ''} />
+                      </button>
+                    );
+                  })()}
+                  <ExportMenu onCsv={handleExportCsv} onJson={handleExportJson} onPrint={handlePrintReport} isPreparing={isPreparingReport} />
+                </div>
+              )}
+            </div>
+            {resultActionError && result && searchStatus === 'done' && (
+              <p className="-mt-4 mb-4 text-xs text-red-600">{t(resultActionError.message, { reason: formatError(resultActionError.error) })}</p>
+            )}
+
+            {/* METRIC TOGGLE */}
+            <div className="flex items-center gap-2 -mt-2 mb-6 text-xs" title={t('metric.hint')}>
+              <span className="font-bold text-gray-500 uppercase">{t('metric.label')}</span>
+              <div className="flex rounded-md bg-gray-100 p-0.5 font-medium">
+                {METRICS.map(m => (
+                  <button key={m} type="button" onClick={() => handleMetricChange(m)} aria-pressed={metric === m}
+                    className={`px-2.5 py-1 rounded ${metric === m ? 'bg-white shadow-sm text-blue-700' : 'text-gray-500 hover:text-gray-700'}`}>
+                    {t(`metric.${m}`)}
+                  </button>
+                ))}
+              </div>
+            </div>
             
-            {result ? (
+            {searchStatus === 'loading' ? (
+              <PanelMessage
+                icon={<Loader2 size={48} className="text-blue-300 animate-spin" />}
+                title={t('results.loadingTitle')}
+                text={t('results.loadingText', { type: activeQuery.houseType, district: activeQuery.district, state: activeQuery.state })}
+              />
+            ) : searchStatus === 'error' ? (
+              <PanelMessage
+                icon={<AlertTriangle size={48} className="text-red-300" />}
+                title={t('results.errorTitle')}
+                text={formatError(searchError)}
+                action={
+                  <button onClick={() => executeSearch(activeQuery)} className="px-4 py-2 text-sm font-medium text-blue-600 border border-blue-200 rounded-md hover:bg-blue-50 transition-colors">
+                    {t('common.tryAgain')}
+                  </button>
+                }
+              />
+            ) : searchStatus === 'empty' ? (
+              emptyExcludedCount > 0 ? (
+                <PanelMessage
+                  icon={<SearchX size={48} className="text-gray-200" />}
+                  title={t('metric.allExcludedTitle')}
+                  text={t('metric.allExcludedText', { count: emptyExcludedCount, type: activeQuery.houseType, district: activeQuery.district })}
+                  action={
+                    <button onClick={() => handleMetricChange('rent')} className="px-4 py-2 text-sm font-medium text-blue-600 border border-blue-200 rounded-md hover:bg-blue-50 transition-colors">
+                      {t('metric.showTotalRent')}
+                    </button>
+                  }
+                />
+              ) : describeFilters(activeQuery, i18n).length > 0 ? (
+                <PanelMessage
+                  icon={<SearchX size={48} className="text-gray-200" />}
+                  title={t('results.noMatchTitle')}
+                  text={t('results.noMatchText', {
+                    count: emptyTotalCount, type: activeQuery.houseType, district: activeQuery.district,
+                    filters: describeFilters(activeQuery, i18n).join(', '),
+                  })}
+                  action={
+                    <button onClick={handleClearFilters} className="px-4 py-2 text-sm font-medium text-blue-600 border border-blue-200 rounded-md hover:bg-blue-50 transition-colors">
+                      {t('results.clearFilters')}
+                    </button>
+                  }
+                />
+              ) : (
+                <PanelMessage
+                  icon={<SearchX size={48} className="text-gray-200" />}
+                  title={t('results.noDataTitle')}
+                  text={t('results.noDataText', { type: activeQuery.houseType, district: activeQuery.district, state: activeQuery.state })}
+                />
+              )
+            ) : result ? (
               <div className="space-y-8 flex-1 animate-in fade-in duration-500 flex flex-col">
+                {/* Active Filters */}
+                {describeFilters(result.query, i18n).length > 0 && (
+                  <div className="p-3 rounded-lg bg-blue-50 border border-blue-100">
+                    <div className="flex flex-wrap gap-1.5 mb-1.5">
+                      {describeFilters(result.query, i18n).map(label => (
+                        <span key={label} className="px-2 py-0.5 bg-white text-blue-700 rounded text-xs font-medium border border-blue-200">{label}</span>
+                      ))}
+                    </div>
+                    <p className="text-xs text-blue-800">
+                      {t('results.filteredCount', { count: result.count, total: result.totalCount })}
+                    </p>
+                  </div>
+                )}
+
                 {/* Metrics */}
                 <div className="space-y-4">
                   <div className="flex justify-between items-center py-2 border-b border-gray-100">
                     <div className="flex items-center gap-2 text-gray-600">
                       <DollarSign size={20} className="text-blue-500" />
-                      <span className="font-medium">Median Rent</span>
+                      <span className="font-medium">{getMedianLabel(resultMetric, i18n)}</span>
                     </div>
-                    <span className="font-bold text-2xl text-gray-900">RM {result.medianRent}</span>
+                    <span className="font-bold text-2xl text-gray-900">{formatValue(result.medianRent)}</span>
                   </div>
-                  <div className="flex justify-between items-center py-2 border-b border-gray-100">
-                    <div className="flex items-center gap-2 text-gray-600">
-                      <Wallet size={20} className="text-green-500" />
-                      <span className="font-medium">Suggested Income</span>
-                      <Tooltip text="The suggested income is based on the suggested worldwide benchmark on spending 30% of income for rent.">
-                        <Info size={16} className="text-gray-400 cursor-help hover:text-blue-500 transition-colors" />
-                      </Tooltip>
+                  {result.suitableIncome != null && (
+                    <div className="flex justify-between items-center py-2 border-b border-gray-100">
+                      <div className="flex items-center gap-2 text-gray-600">
+                        <Wallet size={20} className="text-green-500" />
+                        <span className="font-medium">{t('common.suggestedIncome')}</span>
+                        <Tooltip text={t('results.suggestedIncomeHint')}>
+                          <Info size={16} className="text-gray-400 cursor-help hover:text-blue-500 transition-colors" />
+                        </Tooltip>
+                      </div>
+                      <span className="font-bold text-2xl text-gray-900">{formatCurrency(result.suitableIncome)}</span>
                     </div>
-                    <span className="font-bold text-2xl text-gray-900">RM {result.suitableIncome}</span>
-                  </div>
+                  )}
+                  {result.excludedCount > 0 && (
+                    <p className="text-xs text-amber-700">
+                      {t('metric.excluded', { count: result.excludedCount, min: PLAUSIBLE_SIZE.min, max: PLAUSIBLE_SIZE.max })}
+                    </p>
+                  )}
                 </div>
 
+                {/* Drawn Region */}
+                {regionAnalysis && (
+                  <RegionStats
+                    region={drawnRegion}
+                    stats={regionAnalysis.stats}
+                    histogram={regionAnalysis.histogram}
+                    result={result}
+                    onClear={() => setDrawnRegion(null)}
+                  />
+                )}
+
+                {/* Affordability (total rent only) */}
+                {resultMetric === 'rent' ? (
+                  <AffordabilityCalculator result={result} settings={affordability} onChange={setAffordability} />
+                ) : (
+                  <p className="text-xs text-gray-500 italic">{t('metric.rentOnly')}</p>
+                )}
+
                 {/* Features */}
                 <div>
-                  <h4 className="font-bold text-gray-900 mb-3 text-sm uppercase tracking-wide">Common Characteristics</h4>
+                  <h4 className="font-bold text-gray-900 mb-3 text-sm uppercase tracking-wide">{t('results.commonCharacteristics')}</h4>
                   <div className="flex flex-wrap gap-2">
                     {result.commonFeatures.length > 0 ? (
                       result.commonFeatures.map((f, i) => (
                         <span key={i} className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-md text-sm font-medium border border-gray-200">
-                          {f}
+                          {translateFeature(f, i18n)}
                         </span>
                       ))
                     ) : (
-                      <span className="text-gray-500 italic text-sm">No common features found.</span>
+                      <span className="text-gray-500 italic text-sm">{t('results.noFeatures')}</span>
                     )}
                   </div>
                 </div>
@@ -321,7 +1042,7 @@ function App() {
                 <div className="pt-6 border-t border-gray-100 flex-1">
                   <h4 className="font-bold text-gray-900 mb-3 flex items-center gap-2 text-sm uppercase tracking-wide">
                     <ArrowRightLeft size={16} className="text-gray-400"/> 
-                    Compare in {result.location.split(',')[0]}
+                    {t('results.compareIn', { district: result.location.split(',')[0] })}
                   </h4>
                   <div className="space-y-3 overflow-y-auto max-h-[240px] custom-scrollbar pr-1">
                     {result.comparison && result.comparison.length > 0 ? (
@@ -336,116 +1057,104 @@ function App() {
                               {item.type}
                             </p>
                             <p className="text-xs text-gray-400">
-                              {item.diff > 0 ? `+RM ${item.diff}` : `-RM ${Math.abs(item.diff)}`} vs current
+                              {t('results.vsCurrent', { diff: formatValue(item.diff, { signDisplay: 'exceptZero' }) })}
                             </p>
                           </div>
                           <div className="text-right">
-                            <p className="font-bold text-gray-900 group-hover:text-blue-700">RM {item.medianRent}</p>
-                            <p className="text-[10px] text-gray-400">Median</p>
+                            <p className="font-bold text-gray-900 group-hover:text-blue-700">{formatValue(item.medianRent)}</p>
+                            <p className="text-[10px] text-gray-400">{t('common.median')}</p>
                           </div>
                         </div>
                       ))
                     ) : (
                       <div className="text-sm text-gray-400 italic bg-gray-50 p-4 rounded-lg text-center">
-                        No other property types available to compare in this district.
+                        {t('results.noComparison')}
                       </div>
                     )}
                   </div>
                 </div>
                 <div className="pt-4 text-right text-xs text-gray-400 italic">
-                    Based on {result.count} listings.
+                    {t('results.basedOn', { count: result.count })}
                 </div>
               </div>
             ) : (
               // Empty State
-              <div className="flex-1 flex flex-col items-center justify-center text-gray-400 space-y-3">
-                <Search size={48} className="text-gray-200" />
-                <p className="text-lg font-medium">No analysis generated yet.</p>
-                <p className="text-sm text-center max-w-xs">Use the search form on the map to find rental data for a specific region.</p>
-              </div>
+              <PanelMessage
+                icon={<Search size={48} className="text-gray-200" />}
+                title={t('results.emptyTitle')}
+                text={t('results.emptyText')}
+              />
             )}
           </div>
         </div>
         
+        {/* PINNED AREAS */}
+        {pins.length > 0 && (
+          <PinnedComparison pins={pins} onRemove={handleUnpin} onOpen={handleOpenQuery} />
+        )}
+
         {/* MARKET INSIGHTS SECTION */}
-        {result && (
+        {result && searchStatus === 'done' && (
         <div className="flex flex-col gap-6 pb-12 animate-in fade-in slide-in-from-bottom-4 duration-700">
             
             {/* 1. PRICE TREND CHART */}
             <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200 w-full">
-                <h3 className="font-bold text-gray-900 mb-6 border-b pb-2">Price Trend History</h3>
+                <div className="flex items-center justify-between mb-6 border-b pb-2">
+                    <h3 className="font-bold text-gray-900">{t('insights.trendTitle')}</h3>
+                    <ChartExportButton targetRef={trendChartRef} filename={`${getExportName(result)}-trend.png`} />
+                </div>
                 
                 <div className="flex flex-col md:flex-row gap-6">
                     {/* LEFT: INFO */}
                     <div className="w-full md:w-1/5 space-y-4 pt-4">
                         <div>
-                            <p className="text-xs font-bold text-gray-500 uppercase">State</p>
+                            <p className="text-xs font-bold text-gray-500 uppercase">{t('common.state')}</p>
                             <p className="font-medium text-gray-900">{result.query.state}</p>
                         </div>
                         <div>
-                            <p className="text-xs font-bold text-gray-500 uppercase">District</p>
+                            <p className="text-xs font-bold text-gray-500 uppercase">{t('common.district')}</p>
                             <p className="font-medium text-gray-900">{result.query.district}</p>
                         </div>
                         <div>
-                            <p className="text-xs font-bold text-gray-500 uppercase">Property Type</p>
+                            <p className="text-xs font-bold text-gray-500 uppercase">{t('common.propertyType')}</p>
                             <p className="font-medium text-gray-900">{result.query.houseType}</p>
                         </div>
                     </div>
 
                     {/* RIGHT: CHART */}
-                    <div className="w-full md:w-4/5 h-72">
-                        {result.trends && result.trends.length > 0 ? (
-                        <ResponsiveContainer width="100%" height="100%">
-                            <LineChart data={result.trends}>
-                            <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e5e7eb" />
-                            <XAxis dataKey="name" tick={{fontSize: 12, fill: '#6b7280'}} axisLine={false} tickLine={false} />
-                            <YAxis tick={{fontSize: 12, fill: '#6b7280'}} axisLine={false} tickLine={false} tickFormatter={(value) => `RM ${value}`} />
-                            <RechartsTooltip contentStyle={{backgroundColor: '#1f2937', color: '#fff', borderRadius: '8px', border: 'none'}} itemStyle={{color: '#fff'}} formatter={(value) => [`RM ${value}`, "Median Rent"]} />
-                            <Line type="monotone" dataKey="price" stroke="#2563eb" strokeWidth={3} dot={{r: 4, fill: '#2563eb', strokeWidth: 2, stroke: '#fff'}} activeDot={{r: 6}} />
-                            </LineChart>
-                        </ResponsiveContainer>
-                        ) : (
-                        <div className="h-full flex items-center justify-center text-gray-400 italic text-sm">Not enough historical data.</div>
-                        )}
+                    <div className="w-full md:w-4/5">
+                        <TrendChart result={result} chartRef={trendChartRef} />
                     </div>
                 </div>
             </div>
 
             {/* 2. PRICE DISTRIBUTION CHART */}
             <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200 w-full">
-                <h3 className="font-bold text-gray-900 mb-6 border-b pb-2">Price Distribution</h3>
+                <div className="flex items-center justify-between mb-6 border-b pb-2">
+                    <h3 className="font-bold text-gray-900">{t('insights.distributionTitle')}</h3>
+                    <ChartExportButton targetRef={distributionChartRef} filename={`${getExportName(result)}-distribution.png`} />
+                </div>
                 
                 <div className="flex flex-col md:flex-row gap-6">
                     {/* LEFT: INFO */}
                     <div className="w-full md:w-1/5 space-y-4 pt-4">
                         <div>
-                            <p className="text-xs font-bold text-gray-500 uppercase">State</p>
+                            <p className="text-xs font-bold text-gray-500 uppercase">{t('common.state')}</p>
                             <p className="font-medium text-gray-900">{result.query.state}</p>
                         </div>
                         <div>
-                            <p className="text-xs font-bold text-gray-500 uppercase">District</p>
+                            <p className="text-xs font-bold text-gray-500 uppercase">{t('common.district')}</p>
                             <p className="font-medium text-gray-900">{result.query.district}</p>
                         </div>
                         <div>
-                            <p className="text-xs font-bold text-gray-500 uppercase">Property Type</p>
+                            <p className="text-xs font-bold text-gray-500 uppercase">{t('common.propertyType')}</p>
                             <p className="font-medium text-gray-900">{result.query.houseType}</p>
                         </div>
                     </div>
 
                     {/* RIGHT: CHART */}
-                    <div className="w-full md:w-4/5 h-72">
-                        {result.distribution && result.distribution.length > 0 ? (
-                        <ResponsiveContainer width="100%" height="100%">
-                            <BarChart data={result.distribution}>
-                            <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e5e7eb" />
-                            <XAxis dataKey="range" tick={{fontSize: 10, fill: '#6b7280'}} axisLine={false} tickLine={false}/>
-                            <RechartsTooltip cursor={{fill: '#f3f4f6'}} contentStyle={{backgroundColor: '#1f2937', color: '#fff', borderRadius: '8px', border: 'none'}} itemStyle={{color: '#fff'}} />
-                            <Bar dataKey="count" fill="#34d399" radius={[4, 4, 0, 0]} />
-                            </BarChart>
-                        </ResponsiveContainer>
-                        ) : (
-                        <div className="h-full flex items-center justify-center text-gray-400 italic text-sm">No distribution data available.</div>
-                        )}
+                    <div className="w-full md:w-4/5">
+                        <DistributionChart result={result} budget={getRentBudget(affordability)} chartRef={distributionChartRef} />
                     </div>
                 </div>
             </div>
@@ -454,6 +1163,12 @@ function App() {
         )}
       </main>
     </div>
+
+    {/* PRINTABLE REPORT (print only) */}
+    {report && result && (
+      <PrintReport result={result} images={report.images} generatedAt={report.generatedAt} />
+    )}
+    </>
   );
 }
 
@@ -0,0 +1,50 @@
+// Web Worker that holds a rental dataset and answers API-shaped requests off the main thread.
+//
+// Messages in:  { id, type: 'load', source }            source = URL string or File/Blob (.csv or .json)
+//               { id, type: 'request', path, params }   path = '/options' | '/search' | '/points' | '/trends' | '/distribution' | '/district-stats'
+// Messages out: { id, result } or { id, error }
+import { csvToColumns } from './csv';
+import { buildListings, handleRequest } from './rentalAnalysis';
+
+let dataset = null;
+
+// Helper: Text of a URL or uploaded file, plus its name for format detection
+const readSource = async (source) => {
+  if (typeof source === 'string') {
+    const res = await fetch(source);
+    if (!res.ok) throw new Error(`Dataset could not be downloaded (${res.status}).`);
+    return { name: source, text: await res.text() };
+  }
+  return { name: source.name || '', text: await source.text() };
+};
+
+// Helper: CSV or JSON (columnar { columns } or an array of rows), decided by extension then content
+const parseDataset = ({ name, text }) => {
+  const isJson = /\.json$/i.test(name) || /^\s*[[{]/.test(text);
+  if (!isJson) return csvToColumns(text);
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error('Dataset file is not valid JSON.');
+  }
+};
+
+self.onmessage = async ({ data: message }) => {
+  const { id, type } = message;
+  try {
+    if (type === 'load') {
+      const next = buildListings(parseDataset(await readSource(message.source)));
+      if (next.listings.length === 0) {
+        throw new Error('No usable rows found. The dataset needs State, District, Standard Type and Rent Price columns.');
+      }
+      dataset = next;
+      self.postMessage({ id, result: { rows: dataset.listings.length } });
+      return;
+    }
+
+    if (!dataset) throw new Error('No dataset loaded.');
+    self.postMessage({ id, result: handleRequest(dataset, message.path, message.params) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
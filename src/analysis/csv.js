@@ -0,0 +1,64 @@
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and line breaks inside quotes.
+// Returns an array of rows, each an array of strings.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Skip a UTF-8 byte order mark
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Last line without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Helper: CSV text -> { columns: { name: [values] } } (the same columnar shape as the compact JSON dataset)
+export const csvToColumns = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const names = header.map(name => name.trim());
+  const columns = Object.fromEntries(names.map(name => [name, []]));
+  rows.forEach(row => {
+    // Ignore blank lines
+    if (row.length === 1 && row[0] === '') return;
+    names.forEach((name, idx) => columns[name].push(row[idx] ?? ''));
+  });
+  return { columns };
+};
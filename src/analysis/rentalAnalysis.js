@@ -0,0 +1,405 @@
+// Client-side port of the FastAPI analysis (backend/app/main.py) for the standalone static mode.
+// Every function returns the same JSON shapes as the matching endpoint, so the UI can't tell the difference.
+import { percentile, summarizePrices, buildHistogram } from '../stats';
+import { GRANULARITIES, getPeriodStart, formatPeriod } from '../trends';
+
+// Dataset column names (same as the CSV the backend reads)
+const COL = {
+  state: 'State',
+  district: 'District',
+  type: 'Standard Type',
+  price: 'Rent Price',
+  bedrooms: 'No of Bedroom',
+  bathrooms: 'No of Bathroom',
+  furnishing: 'Furnishing Type',
+  size: 'Property Size',
+  date: 'Extract Date',
+  lat: 'Latitude',
+  lng: 'Longitude',
+  // Optional; the row number is used when the dataset has no id column
+  id: 'Listing ID',
+};
+
+// Analysis metrics (as in the backend): total rent in whole ringgit or rent per sqft to the sen,
+// with the default and smallest histogram bin widths of each
+const METRICS = {
+  rent: { round: Math.trunc, binWidth: 500, minBinWidth: 50 },
+  sqft: { round: (value) => Math.round(value * 100) / 100, binWidth: 0.5, minBinWidth: 0.1 },
+};
+
+// Property sizes (sqft) outside this range are treated as data errors and left out of the per-sqft metric
+const MIN_PLAUSIBLE_SIZE = 100;
+const MAX_PLAUSIBLE_SIZE = 20000;
+
+const DEFAULT_CENTER = [3.1319, 101.6841];
+
+// Helper: Numeric value or NaN (empty strings count as missing, like pandas' to_numeric)
+const toNumber = (value) => {
+  if (value == null || value === '') return NaN;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : NaN;
+};
+
+const toText = (value) => (value == null ? '' : String(value).trim());
+
+// Helper: "YYYY-MM-DD" for an extract date, or null when it can't be parsed
+const toDay = (value) => {
+  const text = toText(value);
+  const iso = /^(\d{4}-\d{2}-\d{2})/.exec(text);
+  if (iso) return iso[1];
+  const date = new Date(text);
+  if (!text || Number.isNaN(date.getTime())) return null;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Helper: Missing numbers as null, as they come out of the API's JSON
+const orNull = (value) => (value == null || Number.isNaN(value) ? null : value);
+
+// Helper: Map point of a listing, in the backend's column order:
+// [lat, lng, price, id, bedrooms, bathrooms, size, furnishing, extractDate, pricePerSqft]
+const toPoint = (l) => [
+  l.lat, l.lng, l.price, l.id,
+  orNull(l.bedrooms), orNull(l.bathrooms), orNull(l.size), l.furnishing, l.day,
+  l.size > 0 ? Math.round((l.price / l.size) * 100) / 100 : null,
+];
+
+// Helper: Median as a whole number (int() truncation, like the backend)
+const medianInt = (values) => Math.trunc(percentile([...values].sort((a, b) => a - b), 50));
+
+// Helper: Median rounded the metric's way
+const medianOf = (values, metric) => METRICS[metric].round(percentile([...values].sort((a, b) => a - b), 50));
+
+// Helper: The listings a metric can be computed for, the analysed number of each and how many were left out
+const applyMetric = (listings, metric) => {
+  if (metric === 'rent') return { listings, valueOf: (l) => l.price, excludedCount: 0 };
+  const kept = listings.filter(l => l.size >= MIN_PLAUSIBLE_SIZE && l.size <= MAX_PLAUSIBLE_SIZE);
+  return { listings: kept, valueOf: (l) => l.price / l.size, excludedCount: listings.length - kept.length };
+};
+
+// Helper: Error response for an unknown metric, or null
+const checkMetric = (metric) => (METRICS[metric] ? null : { found: false, error: `Unknown metric ${metric}` });
+
+// Helper: Most frequent value, ties going to the smallest (pandas' mode()[0])
+const mode = (values) => {
+  const counts = new Map();
+  values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+  let best = null;
+  let bestCount = 0;
+  for (const [value, count] of counts) {
+    if (count > bestCount || (count === bestCount && value < best)) {
+      best = value;
+      bestCount = count;
+    }
+  }
+  return best;
+};
+
+// Dataset -> cleaned listings. Accepts the columnar shape { columns: { name: [...] } }
+// (CSV and compact JSON) or a plain array of row objects.
+export const buildListings = (dataset) => {
+  const records = Array.isArray(dataset) ? dataset : null;
+  const columns = records ? null : (dataset && dataset.columns) || {};
+  const available = new Set(records ? Object.keys(records[0] || {}) : Object.keys(columns));
+  const rowCount = records ? records.length : Math.max(0, ...Object.values(columns).map(c => c.length));
+  const get = (name, i) => (records ? records[i][name] : columns[name] && columns[name][i]);
+
+  const listings = [];
+  for (let i = 0; i < rowCount; i++) {
+    const listing = {
+      state: toText(get(COL.state, i)),
+      district: toText(get(COL.district, i)),
+      type: toText(get(COL.type, i)),
+      price: toNumber(get(COL.price, i)),
+      bedrooms: toNumber(get(COL.bedrooms, i)),
+      bathrooms: toNumber(get(COL.bathrooms, i)),
+      furnishing: toText(get(COL.furnishing, i)) || null,
+      size: toNumber(get(COL.size, i)),
+      day: toDay(get(COL.date, i)),
+      lat: toNumber(get(COL.lat, i)),
+      lng: toNumber(get(COL.lng, i)),
+      id: toText(get(COL.id, i)) || String(i),
+    };
+    // Only rows without price, state, district or type are dropped (missing coordinates are kept)
+    if (Number.isNaN(listing.price) || !listing.state || !listing.district || !listing.type) continue;
+    listings.push(listing);
+  }
+
+  return {
+    listings,
+    hasColumn: (key) => available.has(COL[key]),
+  };
+};
+
+// GET /options
+export const buildOptions = ({ listings }) => {
+  const tree = {};
+  const positions = {};
+  const types = new Set();
+  const furnishing = new Set();
+  listings.forEach(l => {
+    types.add(l.type);
+    if (l.furnishing) furnishing.add(l.furnishing);
+    const districts = tree[l.state] || (tree[l.state] = {});
+    (districts[l.district] || (districts[l.district] = new Set())).add(l.type);
+    if (!Number.isNaN(l.lat) && !Number.isNaN(l.lng)) {
+      const key = `${l.state}|${l.district}`;
+      (positions[key] || (positions[key] = { lats: [], lngs: [] })).lats.push(l.lat);
+      positions[key].lngs.push(l.lng);
+    }
+  });
+
+  const locationTree = {};
+  Object.entries(tree).forEach(([state, districts]) => {
+    locationTree[state] = {};
+    Object.entries(districts).forEach(([district, set]) => {
+      locationTree[state][district] = [...set].sort();
+    });
+  });
+
+  // Median listing position per district: the map picks the nearest one when there are no boundaries
+  const toCoordinate = (values) => Math.round(percentile(values.sort((a, b) => a - b), 50) * 1e5) / 1e5;
+  const districtCentres = {};
+  Object.entries(positions).forEach(([key, { lats, lngs }]) => {
+    const [state, district] = key.split('|');
+    (districtCentres[state] || (districtCentres[state] = {}))[district] = [toCoordinate(lats), toCoordinate(lngs)];
+  });
+
+  return {
+    all_types: [...types].sort(),
+    location_tree: locationTree,
+    district_centres: districtCentres,
+    furnishing_types: [...furnishing].sort(),
+  };
+};
+
+// Helper: "3" matches exactly 3, "5+" matches 5 or more
+const matchCount = (value, filter) => (
+  filter.endsWith('+') ? value >= parseFloat(filter) : value === parseFloat(filter)
+);
+
+// Helper: Listing filter predicate for the optional /search params
+const buildFilter = (params) => {
+  for (const key of ['bedrooms', 'bathrooms']) {
+    if (params[key] && Number.isNaN(parseFloat(params[key]))) return null;
+  }
+  const num = (key) => toNumber(params[key]);
+  const minSize = num('minSize');
+  const maxSize = num('maxSize');
+  const minPrice = num('minPrice');
+  const maxPrice = num('maxPrice');
+
+  return (l) => (
+    (!params.bedrooms || matchCount(l.bedrooms, params.bedrooms))
+    && (!params.bathrooms || matchCount(l.bathrooms, params.bathrooms))
+    && (!params.furnishing || l.furnishing === params.furnishing)
+    && (Number.isNaN(minSize) || l.size >= minSize)
+    && (Number.isNaN(maxSize) || l.size <= maxSize)
+    && (Number.isNaN(minPrice) || l.price >= minPrice)
+    && (Number.isNaN(maxPrice) || l.price <= maxPrice)
+  );
+};
+
+// Helper: Median value (see applyMetric) and listing count per period, oldest first
+const buildTrends = ({ listings, valueOf }, granularity, metric) => {
+  const byPeriod = {};
+  listings.forEach(l => {
+    if (!l.day) return;
+    const start = getPeriodStart(l.day, granularity);
+    (byPeriod[start] = byPeriod[start] || []).push(valueOf(l));
+  });
+  return Object.keys(byPeriod).sort().map(start => ({
+    name: formatPeriod(start, granularity),
+    start,
+    price: medianOf(byPeriod[start], metric),
+    count: byPeriod[start].length,
+  }));
+};
+
+// GET /search
+export const searchListings = ({ listings, hasColumn }, params) => {
+  const { state, district, houseType, metric = 'rent' } = params;
+  const metricError = checkMetric(metric);
+  if (metricError) return metricError;
+  const { round } = METRICS[metric];
+  const inDistrict = listings.filter(l => l.state === state && l.district === district);
+  const totalCount = inDistrict.filter(l => l.type === houseType).length;
+
+  // Listing filters apply to everything below: stats, comparison, charts and map
+  const filter = buildFilter(params);
+  if (!filter) return { found: false, error: 'Invalid bedroom or bathroom filter' };
+  const filtered = inDistrict.filter(filter);
+  // Per-sqft analysis leaves out listings without a plausible size (reported as excludedCount)
+  const valued = applyMetric(filtered.filter(l => l.type === houseType), metric);
+  const { listings: results, valueOf, excludedCount } = valued;
+  const districtListings = applyMetric(filtered, metric).listings;
+
+  if (results.length === 0) return { found: false, totalCount, excludedCount };
+
+  // STATS & FEATURES
+  const prices = results.map(valueOf).sort((a, b) => a - b);
+  const medianRent = round(percentile(prices, 50));
+
+  const features = [];
+  const present = (key) => results.map(l => l[key]).filter(v => v != null && !Number.isNaN(v));
+  if (hasColumn('furnishing') && present('furnishing').length) features.push(String(mode(present('furnishing'))));
+  if (hasColumn('size') && present('size').length) features.push(`${medianInt(present('size'))} sqft`);
+  if (hasColumn('bedrooms') && present('bedrooms').length) features.push(`${Math.trunc(mode(present('bedrooms')))} Beds`);
+  if (hasColumn('bathrooms') && present('bathrooms').length) features.push(`${Math.trunc(mode(present('bathrooms')))} Baths`);
+
+  // COMPARISON
+  const byType = {};
+  districtListings.forEach(l => (byType[l.type] = byType[l.type] || []).push(valueOf(l)));
+  const comparison = Object.entries(byType)
+    .filter(([type]) => type !== houseType)
+    .map(([type, typePrices]) => {
+      const typeMedian = medianOf(typePrices, metric);
+      return { type, medianRent: typeMedian, diff: round(typeMedian - medianRent) };
+    })
+    .sort((a, b) => a.medianRent - b.medianRent);
+
+  // TRENDS (daily medians) & DISTRIBUTION
+  const trends = buildTrends(valued, 'daily', metric);
+
+  const distribution = buildHistogram(prices, METRICS[metric].binWidth);
+
+  // MAP DATA
+  const mapped = results.filter(l => !Number.isNaN(l.lat) && !Number.isNaN(l.lng));
+  let coordinates = DEFAULT_CENTER;
+  let mapMin = 0;
+  let mapMax = 0;
+  if (mapped.length > 0) {
+    coordinates = [
+      mapped.reduce((sum, l) => sum + l.lat, 0) / mapped.length,
+      mapped.reduce((sum, l) => sum + l.lng, 0) / mapped.length,
+    ];
+    mapMin = round(mapped.reduce((min, l) => Math.min(min, valueOf(l)), Infinity));
+    mapMax = round(mapped.reduce((max, l) => Math.max(max, valueOf(l)), -Infinity));
+  }
+
+  // The listings themselves are drawn from /points
+
+  // Figures below are in the chosen metric; an income suggestion only makes sense for total rent
+  return {
+    found: true,
+    location: `${district}, ${state}`,
+    metric,
+    medianRent,
+    suitableIncome: metric === 'rent' ? medianRent * 3 : null,
+    lowerQuartile: round(percentile(prices, 25)),
+    upperQuartile: round(percentile(prices, 75)),
+    priceStats: summarizePrices(prices, round),
+    coordinates,
+    mapMin,
+    mapMax,
+    commonFeatures: features,
+    count: results.length,
+    totalCount,
+    excludedCount,
+    comparison,
+    trends,
+    distribution,
+  };
+};
+
+// GET /points
+export const searchPoints = ({ listings }, params) => {
+  const { state, district, houseType, metric = 'rent' } = params;
+  const metricError = checkMetric(metric);
+  if (metricError) return metricError;
+
+  const filter = buildFilter(params);
+  if (!filter) return { found: false, error: 'Invalid bedroom or bathroom filter' };
+  const { listings: results } = applyMetric(listings.filter(l => (
+    l.state === state && l.district === district && l.type === houseType && filter(l)
+  )), metric);
+
+  return {
+    found: results.length > 0,
+    points: results
+      .filter(l => !Number.isNaN(l.lat) && !Number.isNaN(l.lng))
+      .map(toPoint),
+  };
+};
+
+// GET /trends
+export const searchTrends = ({ listings }, params) => {
+  const { state, district, houseType, granularity = 'daily', metric = 'rent' } = params;
+  if (!GRANULARITIES.includes(granularity)) return { found: false, error: `Unknown granularity ${granularity}` };
+  const metricError = checkMetric(metric);
+  if (metricError) return metricError;
+
+  const filter = buildFilter(params);
+  if (!filter) return { found: false, error: 'Invalid bedroom or bathroom filter' };
+  const results = applyMetric(listings.filter(l => (
+    l.state === state && l.district === district && l.type === houseType && filter(l)
+  )), metric);
+
+  return { found: results.listings.length > 0, granularity, trends: buildTrends(results, granularity, metric) };
+};
+
+// GET /distribution
+export const searchDistribution = ({ listings }, params) => {
+  const { state, district, houseType, metric = 'rent' } = params;
+  const metricError = checkMetric(metric);
+  if (metricError) return metricError;
+  // Bin widths are in the metric's unit (RM or RM per sqft)
+  const { binWidth: defaultWidth, minBinWidth } = METRICS[metric];
+  const binWidth = params.binWidth == null ? defaultWidth : parseFloat(params.binWidth);
+  if (!(binWidth >= minBinWidth)) return { found: false, error: `Bin width must be at least ${minBinWidth}` };
+
+  const filter = buildFilter(params);
+  if (!filter) return { found: false, error: 'Invalid bedroom or bathroom filter' };
+  const { listings: results, valueOf } = applyMetric(listings.filter(l => (
+    l.state === state && l.district === district && l.type === houseType && filter(l)
+  )), metric);
+  const prices = results.map(valueOf);
+
+  return prices.length > 0
+    ? { found: true, binWidth, distribution: buildHistogram(prices, binWidth) }
+    : { found: false, binWidth, distribution: [] };
+};
+
+// GET /district-stats
+export const getDistrictStats = ({ listings }, { houseType, state, metric = 'rent' }) => {
+  const metricError = checkMetric(metric);
+  if (metricError) return metricError;
+
+  const { listings: valued, valueOf } = applyMetric(
+    listings.filter(l => l.type === houseType && (!state || l.state === state)),
+    metric
+  );
+  const grouped = {};
+  valued.forEach(l => {
+    const key = `${l.state}|${l.district}`;
+    (grouped[key] = grouped[key] || { state: l.state, district: l.district, prices: [] }).prices.push(valueOf(l));
+  });
+
+  // Ordered by state, then district (pandas' groupby order)
+  const byName = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  const districts = Object.values(grouped)
+    .sort((a, b) => byName(a.state, b.state) || byName(a.district, b.district))
+    .map(g => ({
+      state: g.state,
+      district: g.district,
+      medianRent: medianOf(g.prices, metric),
+      count: g.prices.length,
+    }));
+
+  return districts.length > 0
+    ? { found: true, houseType, metric, districts }
+    : { found: false, districts: [] };
+};
+
+// Routes an API path to the matching analysis, mirroring the FastAPI endpoints
+export const handleRequest = (dataset, path, params = {}) => {
+  switch (path) {
+    case '/options': return buildOptions(dataset);
+    case '/search': return searchListings(dataset, params);
+    case '/points': return searchPoints(dataset, params);
+    case '/trends': return searchTrends(dataset, params);
+    case '/distribution': return searchDistribution(dataset, params);
+    case '/district-stats': return getDistrictStats(dataset, params);
+    default: throw new Error(`Unknown endpoint ${path}`);
+  }
+};
@@ -0,0 +1,138 @@
+// Small client for the RentVision FastAPI backend.
+// The base URL comes from VITE_API_BASE_URL (see .env.example) so each environment can point elsewhere.
+//
+// Standalone mode: once a dataset file is loaded (VITE_DATASET_URL or an upload), the same functions
+// answer from an in-browser Web Worker instead, with identical response shapes.
+import { createLocalDataSource } from './localDataSource';
+
+export const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL || 'http://127.0.0.1:8000').replace(/\/+$/, '');
+
+// Wait before each retry of a request that failed at the network level
+const RETRY_DELAYS_MS = [500, 1500];
+
+// Analysis responses keyed by path + query string (oldest entry dropped first)
+const CACHE_LIMIT = 50;
+const responseCache = new Map();
+
+// Static deployments set VITE_DATASET_URL to start from a dataset file with no backend at all
+const DATASET_URL = import.meta.env.VITE_DATASET_URL || '';
+
+// Worker-backed data source while a dataset file is in use, else null (HTTP API)
+let localSource = null;
+let localSourceName = '';
+let defaultDatasetLoad = null;
+
+// Helper: True when a request was cancelled on purpose
+export const isAbortError = (error) => error && error.name === 'AbortError';
+
+// Helper: Resolves after `ms`, or rejects straight away if the request gets cancelled meanwhile
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  }, { once: true });
+});
+
+// Core request: GET + JSON, retrying only when the server could not be reached
+const fetchJson = async (path, { signal } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(`${API_BASE_URL}${path}`, { signal });
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      if (attempt >= RETRY_DELAYS_MS.length) {
+        const networkError = new Error('Could not reach the rental data server. Please check your connection and try again.', { cause: error });
+        networkError.code = 'network';
+        throw networkError;
+      }
+      await wait(RETRY_DELAYS_MS[attempt], signal);
+      continue;
+    }
+
+    if (!response.ok) {
+      const error = new Error(`The rental data server responded with an error (${response.status}).`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.json();
+  }
+};
+
+// Helper: Rejects with an AbortError if the signal fires first (the worker itself can't be interrupted)
+const withAbort = (promise, signal) => {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new DOMException('Aborted', 'AbortError'));
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+};
+
+// Switches to standalone mode with a dataset URL or uploaded File; resolves to { rows }
+export const loadLocalDataset = async (source) => {
+  const next = createLocalDataSource();
+  try {
+    const info = await next.load(source);
+    if (localSource) localSource.terminate();
+    localSource = next;
+    localSourceName = typeof source === 'string' ? source.split('/').pop() : source.name;
+    responseCache.clear();
+    return info;
+  } catch (error) {
+    next.terminate();
+    throw error;
+  }
+};
+
+// Helper: Name of the loaded dataset file, or null while the API server is used
+export const getDataSourceLabel = () => (localSource ? localSourceName : null);
+
+// GET /options -> { all_types, location_tree, furnishing_types }
+export const fetchOptions = async (options = {}) => {
+  if (!localSource && DATASET_URL) {
+    // Shared so a cancelled and repeated options request doesn't parse the dataset twice
+    defaultDatasetLoad = defaultDatasetLoad || loadLocalDataset(DATASET_URL).catch(error => {
+      defaultDatasetLoad = null;
+      throw error;
+    });
+    await withAbort(defaultDatasetLoad, options.signal);
+  }
+  if (localSource) return withAbort(localSource.request('/options'), options.signal);
+  return fetchJson('/options', options);
+};
+
+// Cached GET for the analysis endpoints, served from memory when asked before
+const fetchCached = async (path, params, options) => {
+  const url = `${path}?${new URLSearchParams(params).toString()}`;
+  if (responseCache.has(url)) return responseCache.get(url);
+
+  const data = localSource
+    ? await withAbort(localSource.request(path, params), options && options.signal)
+    : await fetchJson(url, options);
+  // The backend reports "Data not loaded" as found: false with an error message
+  if (data.error) throw new Error(data.error);
+
+  if (responseCache.size >= CACHE_LIMIT) {
+    responseCache.delete(responseCache.keys().next().value);
+  }
+  responseCache.set(url, data);
+  return data;
+};
+
+// GET /search -> analysis for one state/district/type
+export const searchRentals = (params, options) => fetchCached('/search', params, options);
+
+// GET /points -> every geocoded listing of the same search, for the map
+export const fetchPoints = (params, options) => fetchCached('/points', params, options);
+
+// GET /trends -> median rent and listing count per day, week, month or quarter
+export const fetchTrends = (params, options) => fetchCached('/trends', params, options);
+
+// GET /distribution -> price histogram of a search at another bin width
+export const fetchDistribution = (params, options) => fetchCached('/distribution', params, options);
+
+// GET /district-stats -> median rent and count per district for one type (optionally one state)
+export const fetchDistrictStats = (params, options) => fetchCached('/district-stats', params, options);
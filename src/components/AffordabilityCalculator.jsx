@@ -0,0 +1,117 @@
+import React from 'react';
+import { Calculator, CheckCircle2, XCircle } from 'lucide-react';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Rent-to-income thresholds the user can pick from (percent of monthly income)
+export const AFFORDABILITY_THRESHOLDS = [30, 35, 40];
+
+export const DEFAULT_AFFORDABILITY = { income: '', householdSize: '1', threshold: 30 };
+
+// Helper: Monthly rent budget for an income at a threshold, or null when no income is entered
+export const getRentBudget = ({ income, threshold }) => {
+  const value = Number(income);
+  return value > 0 ? Math.round((value * threshold) / 100) : null;
+};
+
+// Personal affordability check against the quartiles of the current result
+function AffordabilityCalculator({ result, settings, onChange }) {
+  const { t, formatCurrency, formatPercent } = useI18n();
+  const income = Number(settings.income);
+  const budget = getRentBudget(settings);
+  const householdSize = Math.max(1, parseInt(settings.householdSize, 10) || 1);
+
+  const update = (field) => (e) => onChange({ ...settings, [field]: e.target.value });
+
+  const rows = [
+    { label: t('common.lowerQuartile'), rent: result.lowerQuartile },
+    { label: t('common.median'), rent: result.medianRent },
+    { label: t('common.upperQuartile'), rent: result.upperQuartile },
+  ].filter(row => row.rent != null);
+
+  const affordableTypes = budget
+    ? (result.comparison || []).filter(item => item.medianRent <= budget)
+    : [];
+
+  return (
+    <div>
+      <h4 className="font-bold text-gray-900 mb-3 flex items-center gap-2 text-sm uppercase tracking-wide">
+        <Calculator size={16} className="text-gray-400" />
+        {t('affordability.title')}
+      </h4>
+
+      <div className="grid grid-cols-3 gap-2 mb-4">
+        <div className="col-span-3 sm:col-span-1">
+          <label className="block text-xs font-bold text-gray-500 uppercase mb-1">{t('affordability.income')}</label>
+          <input type="number" min="0" step="100" placeholder="RM"
+            className="w-full text-sm p-2 border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+            value={settings.income} onChange={update('income')} />
+        </div>
+        <div>
+          <label className="block text-xs font-bold text-gray-500 uppercase mb-1">{t('affordability.household')}</label>
+          <input type="number" min="1" step="1"
+            className="w-full text-sm p-2 border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+            value={settings.householdSize} onChange={update('householdSize')} />
+        </div>
+        <div>
+          <label className="block text-xs font-bold text-gray-500 uppercase mb-1">{t('affordability.maxShare')}</label>
+          <select className="w-full text-sm p-2 border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+            value={settings.threshold} onChange={e => onChange({ ...settings, threshold: Number(e.target.value) })}>
+            {AFFORDABILITY_THRESHOLDS.map(pct => <option key={pct} value={pct}>{formatPercent(pct)}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {budget ? (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-600">
+            {t('affordability.budgetIntro', { threshold: formatPercent(settings.threshold), income: formatCurrency(income) })}{' '}
+            <span className="font-bold text-gray-900">{formatCurrency(budget)}</span> {t('affordability.budgetOutro')}
+          </p>
+
+          <div className="space-y-2">
+            {rows.map(row => {
+              const fits = row.rent <= budget;
+              return (
+                <div key={row.label} className={`flex justify-between items-center p-2.5 rounded-lg border ${fits ? 'border-green-100 bg-green-50' : 'border-red-100 bg-red-50'}`}>
+                  <div className="flex items-center gap-2">
+                    {fits ? <CheckCircle2 size={16} className="text-green-600" /> : <XCircle size={16} className="text-red-500" />}
+                    <div>
+                      <p className="text-sm font-semibold text-gray-700">{row.label} · {formatCurrency(row.rent)}</p>
+                      {householdSize > 1 && (
+                        <p className="text-[10px] text-gray-400">{t('affordability.perPerson', { amount: formatCurrency(Math.round(row.rent / householdSize)) })}</p>
+                      )}
+                    </div>
+                  </div>
+                  <span className={`text-sm font-bold ${fits ? 'text-green-700' : 'text-red-600'}`}>
+                    {t('affordability.shareOfIncome', { percent: formatPercent((row.rent / income) * 100) })}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+
+          {result.comparison && result.comparison.length > 0 && (
+            <div>
+              <p className="text-xs font-bold text-gray-500 uppercase mb-2">{t('affordability.otherTypes')}</p>
+              {affordableTypes.length > 0 ? (
+                <div className="flex flex-wrap gap-2">
+                  {affordableTypes.map(item => (
+                    <span key={item.type} className="px-2.5 py-1 bg-green-50 text-green-700 rounded-md text-xs font-medium border border-green-100">
+                      {item.type} · {formatCurrency(item.medianRent)}
+                    </span>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-sm text-gray-500 italic">{t('affordability.noOtherTypes')}</p>
+              )}
+            </div>
+          )}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500 italic">{t('affordability.enterIncome')}</p>
+      )}
+    </div>
+  );
+}
+
+export default AffordabilityCalculator;
@@ -0,0 +1,238 @@
+import React, { useEffect, useState } from 'react';
+import { BarChart3, BoxSelect, Loader2 } from 'lucide-react';
+import { BarChart, Bar, Cell, ComposedChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ReferenceLine, ReferenceArea, ReferenceDot, ResponsiveContainer } from 'recharts';
+import { fetchDistribution, isAbortError } from '../api';
+import { BIN_WIDTHS, DEFAULT_BIN_WIDTHS, getMetric, getValueFormatter } from '../metrics';
+import { useI18n } from '../i18n/I18nProvider';
+
+const BIN_COLOR = '#34d399';
+// Edge bins that also count the listings beyond the chart (see buildHistogram in src/stats.js)
+const EDGE_BIN_COLOR = '#a7f3d0';
+const MEDIAN_COLOR = '#1d4ed8';
+const BUDGET_COLOR = '#dc2626';
+
+const axisTick = {fontSize: 11, fill: '#6b7280'};
+
+// Helper: Tooltip with the price range and listing count of a bin
+function BinTooltip({ active, payload, metric }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const formatCurrency = getValueFormatter(metric, i18n);
+  if (!active || !payload || payload.length === 0) return null;
+  const bin = payload[0].payload;
+  const range = bin.edge === 'below' ? t('distribution.under', { amount: formatCurrency(bin.to) })
+    : bin.edge === 'above' ? t('distribution.andAbove', { amount: formatCurrency(bin.from) })
+    : `${formatCurrency(bin.from)} – ${formatCurrency(bin.to)}`;
+  return (
+    <div className="bg-gray-800 text-white text-xs rounded-lg px-3 py-2 shadow-lg">
+      <p className="font-bold">{range}</p>
+      <p className="text-gray-300">{t('common.listings', { count: bin.count })}</p>
+    </div>
+  );
+}
+
+// Helper: Histogram on a numeric price axis so the median and budget lines sit at their exact price
+function Histogram({ bins, binWidth, median, budget, metric }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const formatCurrency = getValueFormatter(metric, i18n);
+  const data = bins.map(bin => ({ ...bin, mid: bin.from + binWidth / 2, to: bin.from + binWidth }));
+  const domain = [bins[0].from, bins[bins.length - 1].from + binWidth];
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <BarChart data={data} barCategoryGap={1}>
+        <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e5e7eb" />
+        <XAxis dataKey="mid" type="number" domain={domain} tick={axisTick} axisLine={false} tickLine={false} tickFormatter={(value) => formatCurrency(value)} />
+        <YAxis allowDecimals={false} tick={axisTick} axisLine={false} tickLine={false} width={32} />
+        <RechartsTooltip cursor={{fill: '#f3f4f6'}} content={<BinTooltip metric={metric} />} />
+        <Bar dataKey="count" fill={BIN_COLOR} radius={[4, 4, 0, 0]}>
+          {data.map(bin => <Cell key={bin.from} fill={bin.edge ? EDGE_BIN_COLOR : BIN_COLOR} />)}
+        </Bar>
+        {median != null && (
+          <ReferenceLine x={median} stroke={MEDIAN_COLOR} strokeWidth={2} label={{ value: t('common.median'), position: 'top', fill: MEDIAN_COLOR, fontSize: 11 }} />
+        )}
+        {budget != null && (
+          <ReferenceLine x={budget} stroke={BUDGET_COLOR} strokeWidth={2} strokeDasharray="5 3" label={{ value: t('distribution.yourBudget'), position: 'insideTopRight', fill: BUDGET_COLOR, fontSize: 11 }} />
+        )}
+      </BarChart>
+    </ResponsiveContainer>
+  );
+}
+
+// Helper: Horizontal box plot (P25-P75 box, median, 1.5 IQR whiskers, P10/P90 and mean markers)
+// drawn with reference shapes so it exports like the other charts
+function BoxPlot({ stats, budget, metric }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const formatCurrency = getValueFormatter(metric, i18n);
+  // Axis ends on whole ringgit, or tenths of a ringgit per sqft
+  const step = metric === 'sqft' ? 0.1 : 1;
+  const span = Math.max(stats.max - stats.min, step);
+  const domain = [
+    Math.max(0, Math.floor((stats.min - span * 0.05) / step) * step),
+    Math.ceil((stats.max + span * 0.05) / step) * step,
+  ];
+  const extremes = [{ price: stats.min, y: 0.5 }, { price: stats.max, y: 0.5 }];
+  const segment = (x1, y1, x2, y2) => [{ x: x1, y: y1 }, { x: x2, y: y2 }];
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <ComposedChart data={extremes} margin={{ top: 24, right: 24, bottom: 8, left: 8 }}>
+        <CartesianGrid strokeDasharray="3 3" horizontal={false} stroke="#e5e7eb" />
+        <XAxis dataKey="price" type="number" domain={domain} tick={axisTick} axisLine={false} tickLine={false} tickFormatter={(value) => formatCurrency(value)} />
+        <YAxis dataKey="y" type="number" domain={[0, 1]} hide />
+        <ReferenceLine segment={segment(stats.lowerWhisker, 0.5, stats.p25, 0.5)} stroke="#6b7280" strokeWidth={2} />
+        <ReferenceLine segment={segment(stats.p75, 0.5, stats.upperWhisker, 0.5)} stroke="#6b7280" strokeWidth={2} />
+        <ReferenceLine segment={segment(stats.lowerWhisker, 0.42, stats.lowerWhisker, 0.58)} stroke="#6b7280" strokeWidth={2} />
+        <ReferenceLine segment={segment(stats.upperWhisker, 0.42, stats.upperWhisker, 0.58)} stroke="#6b7280" strokeWidth={2} />
+        <ReferenceArea x1={stats.p25} x2={stats.p75} y1={0.3} y2={0.7} fill="#bfdbfe" fillOpacity={0.8} stroke="#3b82f6" />
+        <ReferenceLine segment={segment(stats.median, 0.3, stats.median, 0.7)} stroke={MEDIAN_COLOR} strokeWidth={3}
+          label={{ value: t('map.medianPrice', { price: formatCurrency(stats.median) }), position: 'top', fill: MEDIAN_COLOR, fontSize: 11 }} />
+        <ReferenceLine segment={segment(stats.p10, 0.2, stats.p10, 0.26)} stroke="#9ca3af" strokeWidth={2}
+          label={{ value: 'P10', position: 'bottom', fill: '#6b7280', fontSize: 10 }} />
+        <ReferenceLine segment={segment(stats.p90, 0.2, stats.p90, 0.26)} stroke="#9ca3af" strokeWidth={2}
+          label={{ value: 'P90', position: 'bottom', fill: '#6b7280', fontSize: 10 }} />
+        <ReferenceDot x={stats.mean} y={0.5} r={5} fill="#f59e0b" stroke="#fff" />
+        <Scatter dataKey="y" fill="#6b7280" shape="circle" />
+        {budget != null && (
+          <ReferenceLine x={budget} stroke={BUDGET_COLOR} strokeWidth={2} strokeDasharray="5 3" label={{ value: t('distribution.yourBudget'), position: 'insideTopRight', fill: BUDGET_COLOR, fontSize: 11 }} />
+        )}
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+}
+
+// Price distribution with summary statistics, a histogram/box plot toggle and adjustable bins.
+// The default bins come with the search result; other widths are fetched from /distribution.
+// Values are in the result's metric; the rent budget is only marked when that is total rent.
+function DistributionChart({ result, budget: rentBudget, chartRef }) {
+  const i18n = useI18n();
+  const { t, formatError } = i18n;
+  const metric = getMetric(result);
+  const formatCurrency = getValueFormatter(metric, i18n);
+  const budget = metric === 'rent' ? rentBudget : null;
+  const [view, setView] = useState('histogram');
+  // Chosen width per metric, so switching metric back and forth keeps each choice
+  const [binWidths, setBinWidths] = useState(DEFAULT_BIN_WIDTHS);
+  const [loaded, setLoaded] = useState({ result: null, binWidth: null, bins: [] });
+  const [status, setStatus] = useState('loading');
+  const [error, setError] = useState(null);
+  const stats = result.priceStats;
+
+  const binWidth = binWidths[metric];
+  const isDefaultWidth = binWidth === DEFAULT_BIN_WIDTHS[metric];
+
+  useEffect(() => {
+    if (isDefaultWidth) return undefined;
+    const controller = new AbortController();
+    setStatus('loading');
+    fetchDistribution({ ...result.query, metric: getMetric(result), binWidth }, { signal: controller.signal })
+      .then(data => {
+        setLoaded({ result, binWidth, bins: data.distribution });
+        setError(null);
+        setStatus('done');
+      })
+      .catch(err => {
+        if (isAbortError(err)) return;
+        setError(err);
+        setStatus('error');
+      });
+    return () => controller.abort();
+  }, [result, binWidth, isDefaultWidth]);
+
+  // Other widths keep showing the previous bins while the next ones load
+  const shown = isDefaultWidth
+    ? { binWidth, bins: result.distribution || [], status: 'done' }
+    : { binWidth: loaded.binWidth, bins: loaded.result === result ? loaded.bins : [], status };
+  const bins = shown.bins;
+
+  const summary = stats ? [
+    ['median', t('common.median'), stats.median],
+    ['mean', t('distribution.mean'), stats.mean],
+    ['p10', 'P10', stats.p10],
+    ['p25', 'P25', stats.p25],
+    ['p75', 'P75', stats.p75],
+    ['p90', 'P90', stats.p90],
+    ['iqr', t('distribution.iqr'), stats.iqr],
+  ] : [];
+
+  const budgetNote = stats && budget != null && (budget < stats.min || budget > stats.max)
+    ? t(budget < stats.min ? 'distribution.budgetBelow' : 'distribution.budgetAbove', { amount: formatCurrency(budget) })
+    : null;
+
+  const selectClass = 'bg-gray-50 border border-gray-300 text-gray-900 text-xs rounded-md p-1.5 outline-none';
+
+  return (
+    <div className="space-y-3">
+      {/* SUMMARY STATISTICS */}
+      {summary.length > 0 && (
+        <div className="grid grid-cols-4 sm:grid-cols-7 gap-2">
+          {summary.map(([key, label, value]) => (
+            <div key={key} className={`rounded-lg border px-2 py-1.5 ${key === 'median' ? 'bg-blue-50 border-blue-200' : 'bg-gray-50 border-gray-200'}`}>
+              <p className="text-[10px] font-bold text-gray-500 uppercase">{label}</p>
+              <p className="text-sm font-bold text-gray-900">{formatCurrency(value)}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* CONTROLS */}
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="flex bg-gray-100 rounded-lg p-0.5">
+          {[['histogram', t('distribution.histogram'), BarChart3], ['boxplot', t('distribution.boxPlot'), BoxSelect]].map(([key, label, Icon]) => (
+            <button key={key} type="button" onClick={() => setView(key)} disabled={key === 'boxplot' && !stats}
+              className={`flex items-center gap-1 px-2.5 py-1 text-xs font-bold rounded-md transition-colors disabled:opacity-40 ${view === key ? 'bg-white text-blue-700 shadow-sm' : 'text-gray-500 hover:text-gray-800'}`}>
+              <Icon className="w-3.5 h-3.5" /> {label}
+            </button>
+          ))}
+        </div>
+        {view === 'histogram' && (
+          <label className="flex items-center gap-1.5 text-xs font-medium text-gray-600">
+            {t('distribution.binWidth')}
+            <select value={binWidth} onChange={(e) => setBinWidths(prev => ({ ...prev, [metric]: Number(e.target.value) }))} className={selectClass}>
+              {BIN_WIDTHS[metric].map(w => <option key={w} value={w}>{formatCurrency(w)}</option>)}
+            </select>
+          </label>
+        )}
+        {shown.status === 'loading' && view === 'histogram' && <Loader2 className="w-4 h-4 text-blue-600 animate-spin" />}
+      </div>
+
+      {/* CHART */}
+      <div ref={chartRef} className="h-72">
+        {view === 'boxplot' && stats ? (
+          <BoxPlot stats={stats} budget={budget} metric={metric} />
+        ) : shown.status === 'error' ? (
+          <div className="h-full flex items-center justify-center text-red-500 text-sm">{error ? formatError(error) : t('distribution.loadError')}</div>
+        ) : bins.length > 0 ? (
+          <Histogram bins={bins} binWidth={shown.binWidth} median={stats ? stats.median : result.medianRent} budget={budget} metric={metric} />
+        ) : (
+          <div className="h-full flex items-center justify-center text-gray-400 italic text-sm">
+            {shown.status === 'loading' ? t('distribution.loading') : t('common.noDistribution')}
+          </div>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-gray-500">
+        <span className="flex items-center gap-1.5"><span className="w-4 h-0.5" style={{ backgroundColor: MEDIAN_COLOR }} /> {t('common.median')}</span>
+        {budget != null && (
+          <span className="flex items-center gap-1.5"><span className="w-4 border-t-2 border-dashed" style={{ borderColor: BUDGET_COLOR }} /> {t('distribution.budgetLegend', { amount: formatCurrency(budget) })}</span>
+        )}
+        {view === 'boxplot' && stats && (
+          <>
+            <span className="flex items-center gap-1.5"><span className="w-2.5 h-2.5 rounded-full bg-amber-500" /> {t('distribution.mean')}</span>
+            <span>{t('distribution.whiskers', { count: t('common.listings', { count: stats.outliers }) })}</span>
+          </>
+        )}
+        {view === 'histogram' && bins.some(bin => bin.edge) && (
+          <span className="flex items-center gap-1.5">
+            <span className="w-2.5 h-2.5 rounded-sm" style={{ backgroundColor: EDGE_BIN_COLOR }} />
+            {t('distribution.edgeBins')}
+          </span>
+        )}
+        {budget == null && metric === 'rent' && <span className="italic">{t('distribution.enterIncome')}</span>}
+        {budgetNote && <span className="text-red-600">{budgetNote}</span>}
+      </div>
+    </div>
+  );
+}
+
+export default DistributionChart;
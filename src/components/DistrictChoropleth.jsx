@@ -0,0 +1,141 @@
+import React, { useEffect, useMemo } from 'react';
+import { GeoJSON, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { getMarkerColor } from '../mapColors';
+import { getFeatureNames, normalizeName } from '../districtBoundaries';
+import { getValueFormatter, roundValue } from '../metrics';
+import { useI18n } from '../i18n/I18nProvider';
+
+const NO_DATA_COLOR = '#d1d5db';
+const LEGEND_STEPS = 5;
+
+// Helper: Pairs every boundary feature with the /district-stats entry for the same district.
+// Names are compared loosely; a district-only match is used when the state names differ (e.g. "W.P. Kuala Lumpur").
+export const matchDistrictStats = (features, districts) => {
+  const byDistrict = {};
+  districts.forEach(stat => {
+    const key = normalizeName(stat.district);
+    (byDistrict[key] = byDistrict[key] || []).push(stat);
+  });
+
+  const matchedStats = new Set();
+  const matched = features.map(feature => {
+    const names = getFeatureNames(feature);
+    const candidates = byDistrict[normalizeName(names.district)] || [];
+    const stat = candidates.find(c => normalizeName(c.state) === normalizeName(names.state))
+      || (candidates.length === 1 ? candidates[0] : null);
+    if (stat) matchedStats.add(stat);
+    return { feature, names, stat };
+  });
+
+  return {
+    matched,
+    unmatchedDistricts: districts.filter(stat => !matchedStats.has(stat)),
+  };
+};
+
+// Helper: Moves the map to the shown boundaries whenever they change
+function FitToFeatures({ features }) {
+  const map = useMap();
+  useEffect(() => {
+    if (features.length === 0) return;
+    const bounds = L.geoJSON({ type: 'FeatureCollection', features }).getBounds();
+    if (bounds.isValid()) map.fitBounds(bounds, { padding: [20, 20] });
+  }, [map, features]);
+  return null;
+}
+
+// Districts of the chosen scope coloured by median rent (or median rent per sqft, see metrics.js)
+function DistrictChoropleth({ boundaries, scopeState, districts, metric = 'rent', onDistrictClick }) {
+  const i18n = useI18n();
+  const { lang, t } = i18n;
+  const formatCurrency = getValueFormatter(metric, i18n);
+  const { features, statsByFeature, min, max } = useMemo(() => {
+    // Only draw the boundaries of the selected state (or every district when no state is chosen)
+    const { matched } = matchDistrictStats(boundaries.features, districts);
+    const inScope = matched.filter(m => !scopeState || m.stat
+      || normalizeName(m.names.state) === normalizeName(scopeState));
+    const prices = inScope.filter(m => m.stat).map(m => m.stat.medianRent);
+    return {
+      features: inScope.map(m => m.feature),
+      statsByFeature: new Map(inScope.map(m => [m.feature, m])),
+      min: prices.length ? Math.min(...prices) : 0,
+      max: prices.length ? Math.max(...prices) : 0,
+    };
+  }, [boundaries, scopeState, districts]);
+
+  const styleFeature = (feature) => {
+    const entry = statsByFeature.get(feature);
+    return {
+      color: '#ffffff',
+      weight: 1,
+      fillColor: entry && entry.stat ? getMarkerColor(entry.stat.medianRent, min, max) : NO_DATA_COLOR,
+      fillOpacity: 0.7,
+    };
+  };
+
+  const onEachFeature = (feature, layer) => {
+    const { names, stat } = statsByFeature.get(feature);
+    const label = stat ? stat.district : names.district;
+    layer.bindTooltip(
+      stat
+        ? `<strong>${label}</strong><br/>${t('map.medianPrice', { price: formatCurrency(stat.medianRent) })}<br/>${t('common.listings', { count: stat.count })}`
+        : `<strong>${label}</strong><br/>${t('map.noListingsForType')}`,
+      { sticky: true }
+    );
+    layer.on({
+      mouseover: () => layer.setStyle({ weight: 3, color: '#1f2937' }),
+      mouseout: () => layer.setStyle({ weight: 1, color: '#ffffff' }),
+      click: () => { if (stat) onDistrictClick(stat); },
+    });
+  };
+
+  return (
+    <>
+      {/* GeoJSON layers don't re-render on prop changes, so remount whenever the data (or tooltip language) does */}
+      <GeoJSON
+        key={`${scopeState}|${features.length}|${min}|${max}|${districts.length}|${metric}|${lang}`}
+        data={{ type: 'FeatureCollection', features }}
+        style={styleFeature}
+        onEachFeature={onEachFeature}
+      />
+      <FitToFeatures features={features} />
+    </>
+  );
+}
+
+// Numeric legend: equal-width median rent bands between the cheapest and dearest district
+export function ChoroplethLegend({ districts, metric = 'rent' }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const formatCurrency = getValueFormatter(metric, i18n);
+  const prices = districts.map(d => d.medianRent);
+  if (prices.length === 0) return null;
+
+  const min = Math.min(...prices);
+  const max = Math.max(...prices);
+  const step = (max - min) / LEGEND_STEPS;
+  const bands = min === max
+    ? [{ from: min, to: max }]
+    : Array.from({ length: LEGEND_STEPS }, (_, i) => ({
+        from: roundValue(min + step * i, metric),
+        to: roundValue(min + step * (i + 1), metric),
+      }));
+
+  return (
+    <div className="space-y-1">
+      {bands.map(band => (
+        <div key={band.from} className="flex items-center gap-2">
+          <span className="w-4 h-3 rounded-sm" style={{ backgroundColor: getMarkerColor((band.from + band.to) / 2, min, max) }}></span>
+          <span className="text-gray-600">{formatCurrency(band.from)} – {formatCurrency(band.to)}</span>
+        </div>
+      ))}
+      <div className="flex items-center gap-2">
+        <span className="w-4 h-3 rounded-sm" style={{ backgroundColor: NO_DATA_COLOR }}></span>
+        <span className="text-gray-500">{t('common.noData')}</span>
+      </div>
+    </div>
+  );
+}
+
+export default DistrictChoropleth;
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { Download, FileSpreadsheet, FileJson, Printer, Image as ImageIcon } from 'lucide-react';
+import { downloadChartPng } from '../exporters';
+import { useI18n } from '../i18n/I18nProvider';
+
+// "Export" dropdown in the results panel header
+function ExportMenu({ onCsv, onJson, onPrint, isPreparing }) {
+  const { t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+
+  const items = [
+    { label: t('export.csv'), icon: FileSpreadsheet, onClick: onCsv },
+    { label: t('export.json'), icon: FileJson, onClick: onJson },
+    { label: t('export.report'), icon: Printer, onClick: onPrint },
+  ];
+
+  return (
+    <div className="relative shrink-0" onMouseLeave={() => setIsOpen(false)}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={isPreparing}
+        className="flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium rounded-md border border-gray-200 text-gray-600 hover:bg-gray-50 disabled:text-gray-400 transition-colors"
+      >
+        <Download size={14} />
+        {isPreparing ? t('export.preparing') : t('export.button')}
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 top-full pt-1 z-50">
+          <div className="w-44 bg-white rounded-lg shadow-lg border border-gray-200 py-1">
+            {items.map(({ label, icon: Icon, onClick }) => (
+              <button key={label}
+                onClick={() => { setIsOpen(false); onClick(); }}
+                className="w-full flex items-center gap-2 px-3 py-2 text-sm text-gray-700 hover:bg-blue-50 hover:text-blue-700 transition-colors">
+                <Icon size={14} />
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Small icon button that saves the Recharts chart inside `targetRef` as a PNG
+export function ChartExportButton({ targetRef, filename }) {
+  const { t } = useI18n();
+  const handleClick = () => {
+    downloadChartPng(targetRef.current, filename)
+      .catch(err => console.error("Failed to export chart", err));
+  };
+
+  return (
+    <button onClick={handleClick} title={t('export.chartPng')}
+      className="flex items-center gap-1 text-xs font-medium text-gray-400 hover:text-blue-600 transition-colors">
+      <ImageIcon size={14} /> PNG
+    </button>
+  );
+}
+
+export default ExportMenu;
@@ -0,0 +1,75 @@
+import React from 'react';
+import { SlidersHorizontal, ChevronDown, ChevronUp } from 'lucide-react';
+import { BEDROOM_OPTIONS, BATHROOM_OPTIONS, EMPTY_FILTERS, getActiveFilters } from '../filters';
+import { useI18n } from '../i18n/I18nProvider';
+
+const inputClass = "w-full text-sm p-2 border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-blue-500 outline-none";
+const labelClass = "block text-xs font-bold text-gray-500 uppercase mb-1";
+
+// Optional listing filters shown under the location dropdowns in the search form
+function FilterControls({ filters, onChange, furnishingTypes, isOpen, onToggle }) {
+  const { t } = useI18n();
+  const activeCount = Object.keys(getActiveFilters(filters)).length;
+  const update = (field) => (e) => onChange({ ...filters, [field]: e.target.value });
+
+  return (
+    <div className="border-t border-gray-100 pt-3">
+      <div className="flex items-center justify-between">
+        <button type="button" onClick={onToggle} className="flex items-center gap-1.5 text-xs font-bold text-gray-500 uppercase hover:text-blue-600 transition-colors">
+          <SlidersHorizontal size={14} />
+          {t('filters.title')}{activeCount > 0 && ` (${activeCount})`}
+          {isOpen ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+        </button>
+        {activeCount > 0 && (
+          <button type="button" onClick={() => onChange(EMPTY_FILTERS)} className="text-xs text-gray-400 hover:text-red-500 transition-colors">
+            {t('filters.clear')}
+          </button>
+        )}
+      </div>
+
+      {isOpen && (
+        <div className="grid grid-cols-2 gap-3 mt-3">
+          <div>
+            <label className={labelClass}>{t('filters.bedrooms')}</label>
+            <select className={inputClass} value={filters.bedrooms} onChange={update('bedrooms')}>
+              <option value="">{t('filters.any')}</option>
+              {BEDROOM_OPTIONS.map(v => <option key={v} value={v}>{v}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>{t('filters.bathrooms')}</label>
+            <select className={inputClass} value={filters.bathrooms} onChange={update('bathrooms')}>
+              <option value="">{t('filters.any')}</option>
+              {BATHROOM_OPTIONS.map(v => <option key={v} value={v}>{v}</option>)}
+            </select>
+          </div>
+          <div className="col-span-2">
+            <label className={labelClass}>{t('filters.furnishing')}</label>
+            <select className={inputClass} value={filters.furnishing} onChange={update('furnishing')}>
+              <option value="">{t('filters.any')}</option>
+              {furnishingTypes.map(v => <option key={v} value={v}>{v}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>{t('filters.minSize')}</label>
+            <input type="number" min="0" step="50" className={inputClass} value={filters.minSize} onChange={update('minSize')} />
+          </div>
+          <div>
+            <label className={labelClass}>{t('filters.maxSize')}</label>
+            <input type="number" min="0" step="50" className={inputClass} value={filters.maxSize} onChange={update('maxSize')} />
+          </div>
+          <div>
+            <label className={labelClass}>{t('filters.minRent')}</label>
+            <input type="number" min="0" step="100" className={inputClass} value={filters.minPrice} onChange={update('minPrice')} />
+          </div>
+          <div>
+            <label className={labelClass}>{t('filters.maxRent')}</label>
+            <input type="number" min="0" step="100" className={inputClass} value={filters.maxPrice} onChange={update('maxPrice')} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FilterControls;
@@ -0,0 +1,219 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import maplibregl from 'maplibre-gl';
+import 'maplibre-gl/dist/maplibre-gl.css';
+import { buildHexBins, metersPerPixel } from '../hexbin';
+import { getPointValue, getValueFormatter } from '../metrics';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Listing points drawn on the GPU by a maplibre-gl canvas laid over the Leaflet map.
+// Leaflet still owns the view, tiles and mouse input; the GL map just follows it.
+
+// Hexagon radius in screen pixels; bins are rebuilt for each zoom level
+const HEX_RADIUS_PX = 18;
+
+// How far from a point (in screen pixels) a click still selects it
+const CLICK_TOLERANCE_PX = 6;
+
+// Style with no sources of its own: the basemap stays Leaflet's, and nothing needs an API key
+const EMPTY_STYLE = { version: 8, sources: {}, layers: [] };
+
+const EMPTY_COLLECTION = { type: 'FeatureCollection', features: [] };
+
+// Leaflet layer hosting a non-interactive maplibre-gl map kept in sync with the Leaflet view.
+// maplibre-gl uses 512px tiles, so its zoom is one level below Leaflet's.
+const GlOverlay = L.Layer.extend({
+  onAdd(map) {
+    this._container = L.DomUtil.create('div', 'leaflet-gl-layer');
+    Object.assign(this._container.style, { position: 'absolute', pointerEvents: 'none' });
+    map.getPanes().overlayPane.appendChild(this._container);
+    this._resize();
+
+    const center = map.getCenter();
+    this.glMap = new maplibregl.Map({
+      container: this._container,
+      style: EMPTY_STYLE,
+      center: [center.lng, center.lat],
+      zoom: map.getZoom() - 1,
+      interactive: false,
+      attributionControl: false,
+      fadeDuration: 0,
+      // Lets the report snapshot read the canvas
+      canvasContextAttributes: { preserveDrawingBuffer: true },
+    });
+
+    map.on('move zoom viewreset', this._sync, this);
+    map.on('resize', this._resize, this);
+    this._sync();
+  },
+
+  onRemove(map) {
+    map.off('move zoom viewreset', this._sync, this);
+    map.off('resize', this._resize, this);
+    this.glMap.remove();
+    this._container.remove();
+  },
+
+  _resize() {
+    const size = this._map.getSize();
+    this._container.style.width = `${size.x}px`;
+    this._container.style.height = `${size.y}px`;
+    if (this.glMap) this.glMap.resize();
+    this._sync();
+  },
+
+  _sync() {
+    if (!this.glMap) return;
+    // Keep the canvas pinned to the viewport while Leaflet moves its panes
+    L.DomUtil.setPosition(this._container, this._map.containerPointToLayerPoint([0, 0]));
+    const center = this._map.getCenter();
+    this.glMap.jumpTo({ center: [center.lng, center.lat], zoom: this._map.getZoom() - 1 });
+  },
+});
+
+// Helper: Adds the sources and the three listing layers (points, heatmap, hex bins)
+const addListingLayers = (glMap) => {
+  glMap.addSource('listings', { type: 'geojson', data: EMPTY_COLLECTION });
+  glMap.addSource('hexbins', { type: 'geojson', data: EMPTY_COLLECTION });
+
+  glMap.addLayer({
+    id: 'hexbins',
+    type: 'fill',
+    source: 'hexbins',
+    layout: { visibility: 'none' },
+    paint: { 'fill-color': ['get', 'color'], 'fill-opacity': 0.6, 'fill-outline-color': '#ffffff' },
+  });
+  glMap.addLayer({
+    id: 'heatmap',
+    type: 'heatmap',
+    source: 'listings',
+    layout: { visibility: 'none' },
+    paint: {
+      'heatmap-radius': ['interpolate', ['linear'], ['zoom'], 8, 8, 14, 24],
+      'heatmap-opacity': 0.8,
+      'heatmap-color': [
+        'interpolate', ['linear'], ['heatmap-density'],
+        0, 'rgba(59,130,246,0)',
+        0.2, '#60a5fa',
+        0.5, '#facc15',
+        0.8, '#f97316',
+        1, '#dc2626',
+      ],
+    },
+  });
+  glMap.addLayer({
+    id: 'points',
+    type: 'circle',
+    source: 'listings',
+    paint: {
+      'circle-radius': 4,
+      'circle-color': ['get', 'color'],
+      'circle-opacity': 0.7,
+      'circle-stroke-color': '#000000',
+      'circle-stroke-width': 1,
+    },
+  });
+};
+
+// Renders every geocoded listing of the current result as points, a density heatmap or hex bins.
+// `style` is 'points' | 'heatmap' | 'hexbins'; `colorOf(value)` colours single points, where the value
+// is the rent or the rent per sqft depending on `metric` (see metrics.js).
+// `onPointClick(point)` gets the clicked listing in points mode (leave it unset to ignore clicks).
+function GlListingsLayer({ points, style, metric = 'rent', colorOf, onHexBinsChange, onPointClick }) {
+  const map = useMap();
+  const i18n = useI18n();
+  const { t } = i18n;
+  const formatValue = getValueFormatter(metric, i18n);
+  const overlayRef = useRef(null);
+  const [isReady, setIsReady] = useState(false);
+  const [zoom, setZoom] = useState(map.getZoom());
+  const [hover, setHover] = useState(null);
+
+  useEffect(() => {
+    const overlay = new GlOverlay().addTo(map);
+    overlayRef.current = overlay;
+    overlay.glMap.on('load', () => {
+      addListingLayers(overlay.glMap);
+      setIsReady(true);
+    });
+    return () => {
+      overlay.remove();
+      overlayRef.current = null;
+      setIsReady(false);
+    };
+  }, [map]);
+
+  // Listing points as GeoJSON, coloured on the CPU so the scale matches the rest of the app
+  useEffect(() => {
+    if (!isReady) return;
+    overlayRef.current.glMap.getSource('listings').setData({
+      type: 'FeatureCollection',
+      features: points.map((point, index) => {
+        const value = getPointValue(point, metric);
+        return {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [point[1], point[0]] },
+          properties: { index, value, color: colorOf(value) },
+        };
+      }),
+    });
+  }, [isReady, points, metric, colorOf]);
+
+  const hexBins = useMemo(
+    () => (style === 'hexbins'
+      ? buildHexBins(points, HEX_RADIUS_PX * metersPerPixel(zoom), point => getPointValue(point, metric))
+      : null),
+    [style, points, metric, zoom]
+  );
+
+  useEffect(() => {
+    if (!isReady) return;
+    overlayRef.current.glMap.getSource('hexbins').setData(hexBins ? hexBins.geojson : EMPTY_COLLECTION);
+    if (onHexBinsChange) onHexBinsChange(hexBins ? { min: hexBins.min, max: hexBins.max } : null);
+  }, [isReady, hexBins, onHexBinsChange]);
+
+  useEffect(() => {
+    if (!isReady) return;
+    const glMap = overlayRef.current.glMap;
+    ['points', 'heatmap', 'hexbins'].forEach(id => {
+      glMap.setLayoutProperty(id, 'visibility', id === style ? 'visible' : 'none');
+    });
+  }, [isReady, style]);
+
+  useMapEvents({
+    zoomend: () => setZoom(map.getZoom()),
+    mousemove: (e) => {
+      const stats = hexBins && hexBins.lookup(e.latlng.lat, e.latlng.lng);
+      setHover(stats ? { ...stats, x: e.containerPoint.x, y: e.containerPoint.y } : null);
+    },
+    mouseout: () => setHover(null),
+    // Leaflet gets the clicks, so the GL map is asked which rendered point (if any) is under the cursor
+    click: (e) => {
+      if (!isReady || style !== 'points' || !onPointClick) return;
+      const { x, y } = e.containerPoint;
+      const features = overlayRef.current.glMap.queryRenderedFeatures(
+        [[x - CLICK_TOLERANCE_PX, y - CLICK_TOLERANCE_PX], [x + CLICK_TOLERANCE_PX, y + CLICK_TOLERANCE_PX]],
+        { layers: ['points'] }
+      );
+      if (features.length === 0) return;
+      // Overlapping points: the one nearest the cursor wins
+      const nearest = features.reduce((best, feature) => {
+        const [lng, lat] = feature.geometry.coordinates;
+        const distance = map.latLngToContainerPoint([lat, lng]).distanceTo(e.containerPoint);
+        return !best || distance < best.distance ? { feature, distance } : best;
+      }, null);
+      onPointClick(points[nearest.feature.properties.index]);
+    },
+  });
+
+  return hover && style === 'hexbins' ? (
+    <div className="absolute z-[1000] pointer-events-none bg-gray-900 text-white text-xs rounded-md px-2.5 py-1.5 shadow-lg"
+      style={{ left: hover.x + 12, top: hover.y + 12 }}>
+      <p className="font-bold">{t('map.medianPrice', { price: formatValue(hover.median) })}</p>
+      <p className="text-gray-300">{t('common.listings', { count: hover.count })}</p>
+    </div>
+  ) : null;
+}
+
+export default GlListingsLayer;
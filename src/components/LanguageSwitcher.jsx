@@ -0,0 +1,25 @@
+import React from 'react';
+import { Languages } from 'lucide-react';
+import { LANGUAGES } from '../i18n';
+import { useI18n } from '../i18n/I18nProvider';
+
+// EN / BM toggle in the navbar; the choice is remembered by I18nProvider
+function LanguageSwitcher() {
+  const { lang, setLang, t } = useI18n();
+
+  return (
+    <div className="flex items-center gap-1.5" title={t('nav.language')}>
+      <Languages size={14} className="text-gray-400" />
+      <div className="flex rounded-md bg-gray-100 p-0.5 font-medium">
+        {Object.entries(LANGUAGES).map(([code, { label, name }]) => (
+          <button key={code} onClick={() => setLang(code)} title={name} aria-pressed={lang === code}
+            className={`px-2 py-1 rounded ${lang === code ? 'bg-white shadow-sm text-blue-700' : 'text-gray-500 hover:text-gray-700'}`}>
+            {label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default LanguageSwitcher;
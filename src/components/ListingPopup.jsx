@@ -0,0 +1,123 @@
+import React, { useMemo, useState } from 'react';
+import { Popup, Circle } from 'react-leaflet';
+import { X } from 'lucide-react';
+import { toListing, findNearby } from '../listings';
+import { formatDistance } from '../regions';
+import { percentile } from '../stats';
+import { getPointValue, getValueFormatter } from '../metrics';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Radii (metres) offered for the nearby-listings list
+const NEARBY_RADII = [250, 500, 1000, 2000];
+const DEFAULT_RADIUS = 500;
+
+// Nearby listings shown in the popup (the count covers all of them)
+const MAX_NEARBY_SHOWN = 8;
+
+// Details of a clicked map point: attributes, price against the district median and the
+// listings within a chosen radius (drawn as a circle). Clicking a nearby listing selects it.
+// `medianRent` and the comparison are in the result's `metric` (total rent or rent per sqft).
+function ListingPopup({ point, points, medianRent, metric = 'rent', onSelect, onClose }) {
+  const i18n = useI18n();
+  const { t, formatCurrency, formatNumber, formatPercent, formatDate } = i18n;
+  const formatValue = getValueFormatter(metric, i18n);
+  const [radius, setRadius] = useState(DEFAULT_RADIUS);
+
+  const listing = toListing(point);
+  // Stable position so the popup isn't reopened on every render
+  const position = useMemo(() => [point[0], point[1]], [point]);
+  const nearby = useMemo(() => findNearby(points, point, radius), [points, point, radius]);
+
+  const diff = getPointValue(point, metric) - medianRent;
+  const comparison = diff === 0
+    ? t('listing.atMedian', { median: formatValue(medianRent) })
+    : t(diff > 0 ? 'listing.aboveMedian' : 'listing.belowMedian', {
+      amount: formatValue(Math.abs(diff)),
+      percent: medianRent ? formatPercent((Math.abs(diff) / medianRent) * 100, { digits: 1 }) : '–',
+      median: formatValue(medianRent),
+    });
+
+  const orDash = (value, format = (v) => v) => (value == null ? '–' : format(value));
+  const details = [
+    [t('filters.bedrooms'), orDash(listing.bedrooms, formatNumber)],
+    [t('filters.bathrooms'), orDash(listing.bathrooms, formatNumber)],
+    [t('listing.size'), orDash(listing.size, v => t('filters.sqft', { value: formatNumber(v) }))],
+    [t('listing.pricePerSqft'), orDash(listing.pricePerSqft, v => formatCurrency(v, { maximumFractionDigits: 2 }))],
+    [t('filters.furnishing'), orDash(listing.furnishing)],
+    [t('listing.extractDate'), orDash(listing.extractDate, v => formatDate(v))],
+  ];
+
+  return (
+    <>
+      <Circle center={position} radius={radius} interactive={false}
+        pathOptions={{ color: '#2563eb', weight: 1, dashArray: '4 4', fillOpacity: 0.05 }} />
+      <Popup position={position} closeButton={false} autoClose={false} closeOnClick={false} minWidth={260} maxWidth={300}>
+        <div className="text-xs text-gray-700 space-y-2">
+          <div className="flex items-start justify-between gap-2">
+            <div>
+              <p className="text-base font-bold text-gray-900">{t('listing.perMonth', { price: formatCurrency(listing.price) })}</p>
+              {listing.id != null && <p className="text-[10px] text-gray-400">{t('listing.id', { id: listing.id })}</p>}
+            </div>
+            <button type="button" onClick={onClose} title={t('listing.close')} className="text-gray-300 hover:text-gray-600 transition-colors">
+              <X size={16} />
+            </button>
+          </div>
+
+          <p className={`font-medium ${diff > 0 ? 'text-red-600' : diff < 0 ? 'text-green-600' : 'text-gray-600'}`}>{comparison}</p>
+
+          <dl className="grid grid-cols-2 gap-x-3 gap-y-1">
+            {details.map(([label, value]) => (
+              <div key={label}>
+                <dt className="text-[10px] font-bold text-gray-400 uppercase">{label}</dt>
+                <dd className="font-medium text-gray-900">{value}</dd>
+              </div>
+            ))}
+          </dl>
+
+          <div className="pt-2 border-t border-gray-100">
+            <label className="flex items-center justify-between gap-2 font-bold text-gray-500">
+              {t('listing.nearbyWithin')}
+              <select value={radius} onChange={(e) => setRadius(Number(e.target.value))}
+                className="bg-gray-50 border border-gray-300 text-gray-900 text-xs rounded-md p-1 outline-none">
+                {NEARBY_RADII.map(r => <option key={r} value={r}>{formatDistance(r, i18n)}</option>)}
+              </select>
+            </label>
+            {nearby.length === 0 ? (
+              <p className="mt-1 text-gray-400 italic">{t('listing.noNearby')}</p>
+            ) : (
+              <>
+                <p className="mt-1 text-gray-500">
+                  {t('common.listings', { count: nearby.length })} · {t('map.medianPrice', {
+                    price: formatValue(percentile(nearby.map(n => getPointValue(n.point, metric)).sort((a, b) => a - b), 50)),
+                  })}
+                </p>
+                <ul className="mt-1 max-h-36 overflow-y-auto divide-y divide-gray-100">
+                  {nearby.slice(0, MAX_NEARBY_SHOWN).map(({ point: other, distance }) => {
+                    const item = toListing(other);
+                    return (
+                      <li key={item.id ?? `${other[0]},${other[1]}`}>
+                        <button type="button" onClick={() => onSelect(other)}
+                          className="w-full flex items-center justify-between gap-2 py-1 text-left hover:text-blue-700">
+                          <span className="font-semibold">{formatValue(getPointValue(other, metric))}</span>
+                          <span className="text-gray-500 truncate">
+                            {[
+                              item.bedrooms != null && t('filters.beds', { value: formatNumber(item.bedrooms) }),
+                              item.size != null && t('filters.sqft', { value: formatNumber(item.size) }),
+                            ].filter(Boolean).join(' · ')}
+                          </span>
+                          <span className="text-gray-400 shrink-0">{formatDistance(distance, i18n)}</span>
+                        </button>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </>
+            )}
+          </div>
+        </div>
+      </Popup>
+    </>
+  );
+}
+
+export default ListingPopup;
@@ -0,0 +1,141 @@
+import React, { useEffect, useId, useMemo, useRef, useState } from 'react';
+import { useMap, useMapEvents } from 'react-leaflet';
+import { MapPin, Map as MapIcon, Crosshair, X } from 'lucide-react';
+import { buildLocationIndex, searchLocations } from '../locationSearch';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Map layer (inside MapContainer): while `active`, a click reports its position instead of
+// doing anything else, with a crosshair cursor as the cue
+export function MapPickLayer({ active, onPick }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!active) return;
+    map.getContainer().style.cursor = 'crosshair';
+    return () => { map.getContainer().style.cursor = ''; };
+  }, [map, active]);
+
+  useMapEvents({
+    click(e) {
+      if (active) onPick(e.latlng);
+    },
+  });
+  return null;
+}
+
+// Type-ahead combobox for the state and district (see locationSearch.js), plus the button that
+// turns on picking the district from the map. Choosing a state lists its districts next.
+function LocationPicker({ locationTree, state, district, onSelect, isPicking, onPickToggle }) {
+  const { t } = useI18n();
+  const index = useMemo(() => buildLocationIndex(locationTree), [locationTree]);
+  const [query, setQuery] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const inputRef = useRef(null);
+  const listId = useId();
+
+  // Nothing typed: every state, or the districts of the chosen state
+  const options = useMemo(() => {
+    if (query.trim()) return searchLocations(index, query);
+    return index
+      .filter(entry => (state && !district ? entry.kind === 'district' && entry.state === state : entry.kind === 'state'))
+      .sort((a, b) => (a.district || a.state).localeCompare(b.district || b.state));
+  }, [index, query, state, district]);
+
+  const choose = (entry) => {
+    onSelect({ state: entry.state, district: entry.district });
+    setQuery('');
+    setActiveIndex(0);
+    // A state narrows the list to its districts; a district completes the location
+    if (entry.kind === 'district') {
+      setIsOpen(false);
+      inputRef.current.blur();
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setIsOpen(true);
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex(i => (options.length ? (i + step + options.length) % options.length : 0));
+    } else if (e.key === 'Enter') {
+      // Keep Enter from submitting the search form while a suggestion list is open
+      if (isOpen && options[activeIndex]) {
+        e.preventDefault();
+        choose(options[activeIndex]);
+      }
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+      setQuery('');
+    }
+  };
+
+  const selectedLabel = district ? `${district}, ${state}` : state;
+
+  return (
+    <div className="relative">
+      <div className="flex gap-1.5">
+        <div className="relative flex-1">
+          <input
+            ref={inputRef}
+            type="text"
+            role="combobox"
+            aria-expanded={isOpen}
+            aria-controls={listId}
+            aria-autocomplete="list"
+            aria-activedescendant={isOpen && options[activeIndex] ? `${listId}-${activeIndex}` : undefined}
+            className="w-full text-sm p-2.5 pr-8 border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+            placeholder={t('picker.placeholder')}
+            value={isOpen ? query : selectedLabel}
+            onChange={(e) => { setQuery(e.target.value); setActiveIndex(0); setIsOpen(true); }}
+            onFocus={() => { setIsOpen(true); setActiveIndex(0); }}
+            onBlur={() => { setIsOpen(false); setQuery(''); }}
+            onKeyDown={handleKeyDown}
+          />
+          {selectedLabel && !isOpen && (
+            <button type="button" onClick={() => onSelect({ state: '', district: '' })} title={t('picker.clear')}
+              className="absolute right-2 top-1/2 -translate-y-1/2 text-gray-300 hover:text-gray-600 transition-colors">
+              <X size={14} />
+            </button>
+          )}
+        </div>
+        <button type="button" onClick={onPickToggle} aria-pressed={isPicking} title={t('picker.pickOnMap')}
+          className={`px-2.5 rounded-md border transition-colors ${isPicking ? 'bg-blue-600 border-blue-600 text-white' : 'border-gray-300 text-gray-500 hover:text-blue-600 hover:border-blue-300'}`}>
+          <Crosshair size={16} />
+        </button>
+      </div>
+
+      {isOpen && (
+        <ul id={listId} role="listbox"
+          className="absolute z-10 mt-1 w-full max-h-64 overflow-y-auto bg-white border border-gray-200 rounded-md shadow-lg text-sm custom-scrollbar">
+          {options.length === 0 ? (
+            <li className="px-3 py-2 text-xs text-gray-400 italic">{t('picker.noMatches')}</li>
+          ) : options.map((entry, i) => (
+            <li key={`${entry.state}|${entry.district}`} id={`${listId}-${i}`} role="option" aria-selected={i === activeIndex}
+              // mousedown would blur the input (and close the list) before the click lands
+              onMouseDown={(e) => e.preventDefault()}
+              onMouseEnter={() => setActiveIndex(i)}
+              onClick={() => choose(entry)}
+              className={`flex items-center gap-2 px-3 py-2 cursor-pointer ${i === activeIndex ? 'bg-blue-50 text-blue-700' : 'text-gray-700'}`}>
+              {entry.kind === 'state'
+                ? <MapIcon size={14} className="shrink-0 text-gray-400" />
+                : <MapPin size={14} className="shrink-0 text-gray-400" />}
+              <span className="flex-1 min-w-0 truncate">
+                <span className="font-medium">{entry.district || entry.state}</span>
+                {entry.kind === 'district' && <span className="text-xs text-gray-400"> · {entry.state}</span>}
+              </span>
+              <span className="shrink-0 text-[10px] text-gray-400">
+                {entry.kind === 'state' && `${t('picker.districts', { count: entry.districtCount })} · `}
+                {t('picker.types', { count: entry.typeCount })}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {isPicking && <p className="mt-1 text-xs text-blue-600">{t('picker.pickHint')}</p>}
+    </div>
+  );
+}
+
+export default LocationPicker;
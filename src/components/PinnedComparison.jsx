@@ -0,0 +1,169 @@
+import React, { useRef } from 'react';
+import { Pin, X } from 'lucide-react';
+import { describeFilters } from '../filters';
+import { ChartExportButton } from './ExportMenu';
+import { useI18n } from '../i18n/I18nProvider';
+import { LineChart, Line, AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, Legend, ResponsiveContainer } from 'recharts';
+
+export const MAX_PINS = 4;
+
+// One colour per pin slot, used for the table header, lines and histograms
+export const PIN_COLORS = ['#2563eb', '#f97316', '#10b981', '#a855f7'];
+
+// Helper: Merges the daily trend series of every pin into one row per date
+const mergeTrends = (pins) => {
+  const rows = {};
+  pins.forEach((pin, idx) => {
+    (pin.data.trends || []).forEach(point => {
+      rows[point.name] = { ...rows[point.name], name: point.name, [`pin${idx}`]: point.price };
+    });
+  });
+  return Object.values(rows).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Helper: Merges the price histograms into one row per bin.
+// Counts become a share of each area's listings so small and large districts overlay fairly.
+const mergeDistributions = (pins) => {
+  const rows = {};
+  pins.forEach((pin, idx) => {
+    const bins = pin.data.distribution || [];
+    const total = bins.reduce((sum, bin) => sum + bin.count, 0);
+    bins.forEach(bin => {
+      const row = rows[bin.range] || { range: bin.range, lower: parseInt(bin.range, 10) };
+      row[`pin${idx}`] = total ? Math.round((bin.count / total) * 1000) / 10 : 0;
+      rows[bin.range] = row;
+    });
+  });
+  return Object.values(rows)
+    .sort((a, b) => a.lower - b.lower)
+    .map(row => {
+      // Bins missing for an area are empty, not unknown
+      pins.forEach((_, idx) => { if (row[`pin${idx}`] == null) row[`pin${idx}`] = 0; });
+      return row;
+    });
+};
+
+// Side-by-side view of up to MAX_PINS pinned areas
+function PinnedComparison({ pins, onRemove, onOpen }) {
+  const i18n = useI18n();
+  const { t, formatCurrency, formatNumber, formatPercent, formatDate } = i18n;
+  const labelOf = (pin) => `${pin.query.houseType} · ${pin.query.district}`;
+  const trendData = mergeTrends(pins);
+  const distributionData = mergeDistributions(pins);
+  const trendChartRef = useRef(null);
+  const distributionChartRef = useRef(null);
+
+  const metrics = [
+    { label: t('common.medianRent'), value: (d) => formatCurrency(d.medianRent) },
+    { label: t('common.suggestedIncome'), value: (d) => formatCurrency(d.suitableIncome) },
+    { label: t('common.listingsLabel'), value: (d) => formatNumber(d.count) },
+  ];
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200 w-full">
+      <h3 className="font-bold text-gray-900 mb-6 border-b pb-2 flex items-center gap-2">
+        <Pin size={16} className="text-gray-400" />
+        {t('pins.title', { count: pins.length, max: MAX_PINS })}
+      </h3>
+
+      {/* TABLE */}
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr>
+              <th className="text-left text-xs font-bold text-gray-500 uppercase py-2 pr-4 w-40"></th>
+              {pins.map((pin, idx) => (
+                <th key={pin.key} className="text-left py-2 pr-4 align-top">
+                  <div className="flex items-start justify-between gap-2 border-t-4 pt-2" style={{ borderColor: PIN_COLORS[idx] }}>
+                    <button onClick={() => onOpen(pin.query)} className="text-left hover:text-blue-700 transition-colors">
+                      <p className="font-semibold text-gray-900">{pin.query.houseType}</p>
+                      <p className="text-xs font-normal text-gray-500">{pin.query.district}, {pin.query.state}</p>
+                      {describeFilters(pin.query, i18n).length > 0 && (
+                        <p className="text-[10px] font-normal text-blue-600">{describeFilters(pin.query, i18n).join(' · ')}</p>
+                      )}
+                    </button>
+                    <button onClick={() => onRemove(pin.key)} className="text-gray-300 hover:text-red-500 transition-colors" title={t('pins.remove')}>
+                      <X size={16} />
+                    </button>
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {metrics.map(metric => (
+              <tr key={metric.label} className="border-t border-gray-100">
+                <td className="text-xs font-bold text-gray-500 uppercase py-3 pr-4">{metric.label}</td>
+                {pins.map(pin => (
+                  <td key={pin.key} className="py-3 pr-4 font-bold text-gray-900">{metric.value(pin.data)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {pins.length < 2 ? (
+        <div className="mt-6 text-sm text-gray-400 italic bg-gray-50 p-4 rounded-lg text-center">
+          {t('pins.needMore')}
+        </div>
+      ) : (
+        <div className="mt-8 grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* TRENDS */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-xs font-bold text-gray-500 uppercase">{t('insights.trendTitle')}</p>
+              <ChartExportButton targetRef={trendChartRef} filename="rentvision-pinned-trends.png" />
+            </div>
+            <div ref={trendChartRef} className="h-72">
+              {trendData.length > 0 ? (
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={trendData}>
+                    <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e5e7eb" />
+                    <XAxis dataKey="name" tick={{fontSize: 12, fill: '#6b7280'}} axisLine={false} tickLine={false} tickFormatter={(day) => formatDate(day)} />
+                    <YAxis tick={{fontSize: 12, fill: '#6b7280'}} axisLine={false} tickLine={false} tickFormatter={(value) => formatCurrency(value)} />
+                    <RechartsTooltip contentStyle={{backgroundColor: '#1f2937', color: '#fff', borderRadius: '8px', border: 'none'}} labelFormatter={(day) => formatDate(day)} formatter={(value) => formatCurrency(value)} />
+                    <Legend wrapperStyle={{fontSize: 12}} />
+                    {pins.map((pin, idx) => (
+                      <Line key={pin.key} type="monotone" dataKey={`pin${idx}`} name={labelOf(pin)} stroke={PIN_COLORS[idx]} strokeWidth={2} dot={{r: 3}} connectNulls />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              ) : (
+                <div className="h-full flex items-center justify-center text-gray-400 italic text-sm">{t('common.notEnoughHistory')}</div>
+              )}
+            </div>
+          </div>
+
+          {/* DISTRIBUTIONS */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-xs font-bold text-gray-500 uppercase">{t('pins.distributionShare')}</p>
+              <ChartExportButton targetRef={distributionChartRef} filename="rentvision-pinned-distribution.png" />
+            </div>
+            <div ref={distributionChartRef} className="h-72">
+              {distributionData.length > 0 ? (
+                <ResponsiveContainer width="100%" height="100%">
+                  <AreaChart data={distributionData}>
+                    <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e5e7eb" />
+                    <XAxis dataKey="range" tick={{fontSize: 10, fill: '#6b7280'}} axisLine={false} tickLine={false} />
+                    <YAxis tick={{fontSize: 12, fill: '#6b7280'}} axisLine={false} tickLine={false} tickFormatter={(value) => formatPercent(value)} />
+                    <RechartsTooltip contentStyle={{backgroundColor: '#1f2937', color: '#fff', borderRadius: '8px', border: 'none'}} formatter={(value) => formatPercent(value, { digits: 1 })} />
+                    <Legend wrapperStyle={{fontSize: 12}} />
+                    {pins.map((pin, idx) => (
+                      <Area key={pin.key} type="step" dataKey={`pin${idx}`} name={labelOf(pin)} stroke={PIN_COLORS[idx]} fill={PIN_COLORS[idx]} fillOpacity={0.2} />
+                    ))}
+                  </AreaChart>
+                </ResponsiveContainer>
+              ) : (
+                <div className="h-full flex items-center justify-center text-gray-400 italic text-sm">{t('common.noDistribution')}</div>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PinnedComparison;
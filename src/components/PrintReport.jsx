@@ -0,0 +1,77 @@
+import React from 'react';
+import { describeFilters } from '../filters';
+import { translateFeature } from '../i18n';
+import { getMetric, getValueFormatter, getMedianLabel } from '../metrics';
+import { useI18n } from '../i18n/I18nProvider';
+
+// One-page report that only shows when printing (window.print -> "Save as PDF").
+// Images are PNG data URLs captured from the live map and charts just before printing.
+function PrintReport({ result, images, generatedAt }) {
+  const i18n = useI18n();
+  const { t, formatCurrency, formatNumber, formatDate } = i18n;
+  const filters = describeFilters(result.query, i18n);
+  const metric = getMetric(result);
+  const formatValue = getValueFormatter(metric, i18n);
+
+  const metrics = [
+    [getMedianLabel(metric, i18n), formatValue(result.medianRent)],
+    [t('report.quartileRange'), result.lowerQuartile != null ? `${formatValue(result.lowerQuartile)} – ${formatValue(result.upperQuartile)}` : '–'],
+    [t('common.suggestedIncome'), result.suitableIncome != null ? formatCurrency(result.suitableIncome) : '–'],
+    [t('common.listingsLabel'), result.totalCount != null && result.totalCount !== result.count
+      ? t('common.countOfTotal', { count: result.count, total: result.totalCount })
+      : formatNumber(result.count)],
+  ];
+
+  return (
+    <div className="hidden print:block text-gray-900 text-sm">
+      <div className="flex items-end justify-between border-b-2 border-blue-700 pb-2 mb-4">
+        <div>
+          <p className="text-xs font-bold text-blue-700 uppercase tracking-wide">{t('report.title')}</p>
+          <h1 className="text-xl font-bold">{t('report.heading', { type: result.query.houseType, district: result.query.district, state: result.query.state })}</h1>
+        </div>
+        <p className="text-xs text-gray-500">{t('report.generated', { date: formatDate(generatedAt, { dateStyle: 'medium', timeStyle: 'short' }) })}</p>
+      </div>
+
+      <div className="grid grid-cols-4 gap-3 mb-3">
+        {metrics.map(([label, value]) => (
+          <div key={label} className="border border-gray-200 rounded p-2">
+            <p className="text-[10px] font-bold text-gray-500 uppercase">{label}</p>
+            <p className="text-lg font-bold">{value}</p>
+          </div>
+        ))}
+      </div>
+
+      <p className="text-xs text-gray-600 mb-3">
+        <span className="font-bold">{t('report.filters')}</span> {filters.length > 0 ? filters.join(', ') : t('report.none')}
+        {result.commonFeatures.length > 0 && (
+          <> · <span className="font-bold">{t('report.commonCharacteristics')}</span> {result.commonFeatures.map(f => translateFeature(f, i18n)).join(', ')}</>
+        )}
+      </p>
+
+      {images.map && (
+        <img src={images.map} alt={t('report.mapAlt')} className="w-full h-64 object-cover rounded border border-gray-200 mb-3" />
+      )}
+
+      <div className="grid grid-cols-2 gap-3">
+        {images.trend && (
+          <div>
+            <p className="text-[10px] font-bold text-gray-500 uppercase mb-1">{t('insights.trendTitle')}</p>
+            <img src={images.trend} alt={t('report.trendAlt')} className="w-full border border-gray-200 rounded" />
+          </div>
+        )}
+        {images.distribution && (
+          <div>
+            <p className="text-[10px] font-bold text-gray-500 uppercase mb-1">{t('insights.distributionTitle')}</p>
+            <img src={images.distribution} alt={t('report.distributionAlt')} className="w-full border border-gray-200 rounded" />
+          </div>
+        )}
+      </div>
+
+      <p className="text-[10px] text-gray-400 mt-4">
+        {t('report.footer', { count: result.count })}
+      </p>
+    </div>
+  );
+}
+
+export default PrintReport;
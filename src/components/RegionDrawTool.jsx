@@ -0,0 +1,121 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Circle, Rectangle, Polygon, Polyline, useMap, useMapEvents } from 'react-leaflet';
+import { Circle as CircleIcon, Square, Pentagon, Trash2 } from 'lucide-react';
+import { regionFromDrag } from '../regions';
+import { useI18n } from '../i18n/I18nProvider';
+
+const REGION_STYLE = { color: '#7c3aed', weight: 2, fillColor: '#8b5cf6', fillOpacity: 0.1 };
+const DRAFT_STYLE = { ...REGION_STYLE, dashArray: '6 6' };
+
+// Labels and hints are i18n keys: draw.<id> and draw.<id>Hint
+const TOOLS = [
+  { id: 'circle', icon: CircleIcon },
+  { id: 'rectangle', icon: Square },
+  { id: 'polygon', icon: Pentagon },
+];
+
+// Helper: True when a rectangle has no area (start and end corner on the same line)
+const isEmptyBounds = ([[south, west], [north, east]]) => south === north || west === east;
+
+// Draws a finished or in-progress region
+function RegionShape({ region, pathOptions }) {
+  if (region.type === 'circle') return <Circle center={region.center} radius={region.radius} pathOptions={pathOptions} />;
+  if (region.type === 'rectangle') return <Rectangle bounds={region.bounds} pathOptions={pathOptions} />;
+  return <Polygon positions={region.latlngs} pathOptions={pathOptions} />;
+}
+
+// Map layer (inside MapContainer): captures mouse input while a tool is active and shows the region
+export function RegionDrawLayer({ tool, region, onDrawn }) {
+  const map = useMap();
+  const dragStart = useRef(null);
+  const [draft, setDraft] = useState(null);
+  const [vertices, setVertices] = useState([]);
+  const [cursor, setCursor] = useState(null);
+
+  // While drawing, mouse drags draw instead of panning
+  useEffect(() => {
+    if (!tool) return;
+    map.dragging.disable();
+    map.doubleClickZoom.disable();
+    map.getContainer().style.cursor = 'crosshair';
+    return () => {
+      map.dragging.enable();
+      map.doubleClickZoom.enable();
+      map.getContainer().style.cursor = '';
+      dragStart.current = null;
+      setDraft(null);
+      setVertices([]);
+      setCursor(null);
+    };
+  }, [map, tool]);
+
+  useMapEvents({
+    mousedown(e) {
+      if (tool !== 'circle' && tool !== 'rectangle') return;
+      dragStart.current = e.latlng;
+      setDraft(regionFromDrag(tool, e.latlng, e.latlng));
+    },
+    mousemove(e) {
+      if (dragStart.current) setDraft(regionFromDrag(tool, dragStart.current, e.latlng));
+      if (tool === 'polygon') setCursor([e.latlng.lat, e.latlng.lng]);
+    },
+    mouseup(e) {
+      if (!dragStart.current) return;
+      const shape = regionFromDrag(tool, dragStart.current, e.latlng);
+      dragStart.current = null;
+      setDraft(null);
+      // A plain click without dragging gives a shape with no area
+      if (shape.type === 'circle' ? shape.radius > 0 : !isEmptyBounds(shape.bounds)) onDrawn(shape);
+    },
+    click(e) {
+      if (tool !== 'polygon') return;
+      const point = [e.latlng.lat, e.latlng.lng];
+      // A double-click also fires two clicks; skip the repeated corner
+      setVertices(prev => {
+        const last = prev[prev.length - 1];
+        return last && last[0] === point[0] && last[1] === point[1] ? prev : [...prev, point];
+      });
+    },
+    dblclick() {
+      if (tool !== 'polygon' || vertices.length < 3) return;
+      onDrawn({ type: 'polygon', latlngs: vertices });
+    },
+  });
+
+  return (
+    <>
+      {draft && <RegionShape region={draft} pathOptions={DRAFT_STYLE} />}
+      {tool === 'polygon' && vertices.length > 0 && (
+        <Polyline positions={cursor ? [...vertices, cursor] : vertices} pathOptions={DRAFT_STYLE} />
+      )}
+      {!tool && region && <RegionShape region={region} pathOptions={REGION_STYLE} />}
+    </>
+  );
+}
+
+// Floating toolbar (outside MapContainer) to pick a drawing tool or clear the region
+export function RegionDrawToolbar({ tool, region, onToolChange, onClear }) {
+  const { t } = useI18n();
+
+  return (
+    <div className="absolute bottom-4 left-3 z-[1000] flex flex-col items-start gap-2">
+      {tool && (
+        <div className="bg-gray-900 text-white text-xs rounded-md px-3 py-1.5 shadow-lg">
+          {t(`draw.${tool}Hint`)} <button onClick={() => onToolChange(null)} className="ml-1 underline">{t('draw.cancel')}</button>
+        </div>
+      )}
+      <div className="flex bg-white/95 backdrop-blur-sm rounded-lg shadow-xl border border-gray-200 p-1 gap-1">
+        {TOOLS.map(({ id, icon: Icon }) => (
+          <button key={id} title={t(`draw.${id}`)} onClick={() => onToolChange(tool === id ? null : id)}
+            className={`p-2 rounded-md transition-colors ${tool === id ? 'bg-violet-100 text-violet-700' : 'text-gray-500 hover:bg-gray-100 hover:text-gray-700'}`}>
+            <Icon size={16} />
+          </button>
+        ))}
+        <button title={t('region.clear')} onClick={onClear} disabled={!region}
+          className="p-2 rounded-md text-gray-500 hover:bg-red-50 hover:text-red-600 disabled:text-gray-300 disabled:hover:bg-transparent transition-colors">
+          <Trash2 size={16} />
+        </button>
+      </div>
+    </div>
+  );
+}
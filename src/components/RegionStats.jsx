@@ -0,0 +1,82 @@
+import React from 'react';
+import { Shapes, X } from 'lucide-react';
+import { BarChart, Bar, XAxis, Tooltip as RechartsTooltip, ResponsiveContainer } from 'recharts';
+import { describeRegion } from '../regions';
+import { getMetric, getValueFormatter } from '../metrics';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Statistics for the listings inside a drawn region, next to the district-wide numbers
+// (both in the result's metric)
+function RegionStats({ region, stats, histogram, result, onClear }) {
+  const i18n = useI18n();
+  const { t, formatNumber } = i18n;
+  const formatCurrency = getValueFormatter(getMetric(result), i18n);
+  const rows = [
+    { label: t('common.median'), region: stats.median, district: result.medianRent },
+    { label: t('region.lowerQuartile'), region: stats.p25, district: result.lowerQuartile },
+    { label: t('region.upperQuartile'), region: stats.p75, district: result.upperQuartile },
+  ];
+  const money = (value) => (value != null ? formatCurrency(value) : '–');
+
+  return (
+    <div className="p-4 rounded-lg border border-violet-100 bg-violet-50/40">
+      <div className="flex items-start justify-between gap-2 mb-3">
+        <h4 className="font-bold text-gray-900 flex items-center gap-2 text-sm uppercase tracking-wide">
+          <Shapes size={16} className="text-violet-500" />
+          {t('region.title')}
+        </h4>
+        <button onClick={onClear} className="text-gray-300 hover:text-red-500 transition-colors" title={t('region.clear')}>
+          <X size={16} />
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mb-3">{describeRegion(region, i18n)} · {t('region.inside', { count: stats.count, total: result.points.length })}</p>
+
+      {stats.count > 0 ? (
+        <>
+          <table className="w-full text-sm mb-3">
+            <thead>
+              <tr className="text-xs font-bold text-gray-500 uppercase">
+                <th className="text-left py-1"></th>
+                <th className="text-right py-1">{t('region.region')}</th>
+                <th className="text-right py-1">{t('region.district')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.label} className="border-t border-violet-100">
+                  <td className="py-1.5 text-gray-600">{row.label}</td>
+                  <td className="py-1.5 text-right font-bold text-gray-900">{money(row.region)}</td>
+                  <td className="py-1.5 text-right text-gray-500">{money(row.district)}</td>
+                </tr>
+              ))}
+              <tr className="border-t border-violet-100">
+                <td className="py-1.5 text-gray-600">P10 – P90</td>
+                <td className="py-1.5 text-right font-bold text-gray-900">{money(stats.p10)} – {money(stats.p90)}</td>
+                <td className="py-1.5 text-right text-gray-500">–</td>
+              </tr>
+              <tr className="border-t border-violet-100">
+                <td className="py-1.5 text-gray-600">{t('common.listingsLabel')}</td>
+                <td className="py-1.5 text-right font-bold text-gray-900">{formatNumber(stats.count)}</td>
+                <td className="py-1.5 text-right text-gray-500">{formatNumber(result.count)}</td>
+              </tr>
+            </tbody>
+          </table>
+
+          <div className="h-24">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={histogram}>
+                <XAxis dataKey="range" tick={{fontSize: 9, fill: '#6b7280'}} axisLine={false} tickLine={false} />
+                <RechartsTooltip cursor={{fill: '#ede9fe'}} contentStyle={{backgroundColor: '#1f2937', color: '#fff', borderRadius: '8px', border: 'none'}} itemStyle={{color: '#fff'}} formatter={(value) => [formatNumber(value), t('common.listingsLabel')]} />
+                <Bar dataKey="count" fill="#8b5cf6" radius={[3, 3, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      ) : (
+        <p className="text-sm text-gray-500 italic">{t('region.noneInside')}</p>
+      )}
+    </div>
+  );
+}
+
+export default RegionStats;
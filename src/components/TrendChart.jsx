@@ -0,0 +1,227 @@
+import React, { useEffect, useState } from 'react';
+import { TrendingUp, TrendingDown, Loader2 } from 'lucide-react';
+import { ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, Legend, ResponsiveContainer } from 'recharts';
+import { fetchTrends, isAbortError } from '../api';
+import { GRANULARITIES, rollingMedian, periodChange, linearProjection } from '../trends';
+import { getMetric, getValueFormatter, getMedianLabel } from '../metrics';
+import { useI18n } from '../i18n/I18nProvider';
+
+const ROLLING_WINDOWS = [0, 3, 5, 7];
+const CHANGE_MONTHS = [3, 6, 12];
+const PROJECTION_PERIODS = 3;
+const PROJECTION_FIT_POINTS = 12;
+const PROJECTION_MIN_POINTS = 4;
+
+// Dots get in the way on long daily series
+const MAX_DOTTED_POINTS = 60;
+
+// Helper: Chart rows for the observed series, its rolling median and the projection band.
+// The last observed point also starts the projection so the dashed line joins the solid one.
+const buildChartData = (trends, rolling, projection) => {
+  const rows = trends.map((point, i) => ({ ...point, rolling: rolling[i] ?? null }));
+  if (projection.length > 0 && rows.length > 0) {
+    const last = rows[rows.length - 1];
+    rows[rows.length - 1] = { ...last, projection: last.price, band: [last.price, last.price] };
+  }
+  return [
+    ...rows,
+    ...projection.map(p => ({ name: p.name, projection: p.projection, band: [p.low, p.high], isProjected: true })),
+  ];
+};
+
+// Helper: Period name ("2025-03-14", "2025-03", "2025-Q1") as a localised label
+const formatPeriodLabel = (name, granularity, { t, formatDate }) => {
+  if (granularity === 'quarterly') {
+    const [year, quarter] = name.split('-Q');
+    return t('trend.quarter', { quarter, year });
+  }
+  if (granularity === 'monthly') return formatDate(`${name}-01`, { month: 'short', year: 'numeric' });
+  return formatDate(name);
+};
+
+// Helper: Tooltip listing the median, listing count, rolling median and projection range of a period
+function TrendTooltip({ active, payload, label, rollingWindow, granularity, metric }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const formatCurrency = getValueFormatter(metric, i18n);
+  if (!active || !payload || payload.length === 0) return null;
+  const row = payload[0].payload;
+  return (
+    <div className="bg-gray-800 text-white text-xs rounded-lg px-3 py-2 shadow-lg space-y-0.5">
+      <p className="font-bold">{formatPeriodLabel(label, granularity, i18n)}</p>
+      {row.isProjected ? (
+        <>
+          <p className="text-amber-300">{t('trend.projected', { price: formatCurrency(row.projection) })}</p>
+          <p className="text-gray-300">{t('trend.range', { low: formatCurrency(row.band[0]), high: formatCurrency(row.band[1]) })}</p>
+        </>
+      ) : (
+        <>
+          <p>{t('map.medianPrice', { price: formatCurrency(row.price) })}</p>
+          {row.count != null && <p className="text-gray-300">{t('common.listings', { count: row.count })}</p>}
+          {row.rolling != null && (
+            <p className="text-purple-300">{t('trend.rollingLabel', { window: rollingWindow })}: {formatCurrency(row.rolling)}</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Price trend chart with granularity, rolling median, period change and projection controls.
+// Daily points come with the search result; other granularities are fetched from /trends.
+// Prices are in the result's metric (total rent or rent per sqft).
+function TrendChart({ result, chartRef }) {
+  const i18n = useI18n();
+  const { t, formatPercent } = i18n;
+  const metric = getMetric(result);
+  const formatCurrency = getValueFormatter(metric, i18n);
+  const [granularity, setGranularity] = useState('daily');
+  const [rollingWindow, setRollingWindow] = useState(0);
+  const [changeMonths, setChangeMonths] = useState(6);
+  const [showProjection, setShowProjection] = useState(false);
+  const [loaded, setLoaded] = useState({ result: null, granularity: null, trends: [], monthly: [] });
+  const [status, setStatus] = useState('loading');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const load = (g) => (g === 'daily'
+      ? Promise.resolve(result.trends || [])
+      : fetchTrends({ ...result.query, metric: getMetric(result), granularity: g }, { signal: controller.signal }).then(data => data.trends));
+
+    setStatus('loading');
+    // The period change always uses the monthly series; one request when that is the one shown.
+    // If only the monthly request fails, the chart still shows (without the change headline).
+    const shown = load(granularity);
+    const monthly = granularity === 'monthly' ? shown : load('monthly').catch(err => {
+      if (isAbortError(err)) throw err;
+      return [];
+    });
+    Promise.all([shown, monthly])
+      .then(([trends, monthly]) => {
+        setLoaded({ result, granularity, trends, monthly });
+        setError(null);
+        setStatus('done');
+      })
+      .catch(err => {
+        if (isAbortError(err)) return;
+        setError(err);
+        setStatus('error');
+      });
+    return () => controller.abort();
+  }, [result, granularity]);
+
+  // Keep showing the previous series while the next granularity loads
+  const isCurrent = loaded.result === result;
+  const trends = isCurrent ? loaded.trends : [];
+  const activeGranularity = isCurrent ? loaded.granularity : granularity;
+  const change = isCurrent ? periodChange(loaded.monthly, changeMonths) : null;
+  const rolling = rollingWindow ? rollingMedian(trends, rollingWindow) : [];
+  const projection = showProjection
+    ? linearProjection(trends, activeGranularity, {
+      horizon: PROJECTION_PERIODS, fitPoints: PROJECTION_FIT_POINTS, minPoints: PROJECTION_MIN_POINTS,
+    })
+    : [];
+  const chartData = buildChartData(trends, rolling, projection);
+
+  const selectClass = 'bg-gray-50 border border-gray-300 text-gray-900 text-xs rounded-md p-1.5 outline-none';
+
+  return (
+    <div className="space-y-3">
+      {/* CONTROLS */}
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="flex bg-gray-100 rounded-lg p-0.5">
+          {GRANULARITIES.map(g => (
+            <button key={g} type="button" onClick={() => setGranularity(g)}
+              className={`px-2.5 py-1 text-xs font-bold rounded-md transition-colors ${granularity === g ? 'bg-white text-blue-700 shadow-sm' : 'text-gray-500 hover:text-gray-800'}`}>
+              {t(`trend.${g}`)}
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center gap-1.5 text-xs font-medium text-gray-600">
+          {t('trend.rollingMedian')}
+          <select value={rollingWindow} onChange={(e) => setRollingWindow(Number(e.target.value))} className={selectClass}>
+            {ROLLING_WINDOWS.map(w => <option key={w} value={w}>{w ? t('trend.periods', { count: w }) : t('trend.off')}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-1.5 text-xs font-medium text-gray-600 cursor-pointer">
+          <input type="checkbox" checked={showProjection} onChange={(e) => setShowProjection(e.target.checked)} className="accent-amber-500" />
+          {t('trend.showProjection')}
+        </label>
+        {status === 'loading' && <Loader2 className="w-4 h-4 text-blue-600 animate-spin" />}
+      </div>
+
+      {/* PERIOD CHANGE HEADLINE */}
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="text-gray-500">{t('trend.changeOver')}</span>
+        <select value={changeMonths} onChange={(e) => setChangeMonths(Number(e.target.value))} className={selectClass}>
+          {CHANGE_MONTHS.map(m => <option key={m} value={m}>{t('trend.months', { count: m })}</option>)}
+        </select>
+        {change ? (
+          <span className={`flex items-center gap-1 font-bold ${change.percent >= 0 ? 'text-red-600' : 'text-green-600'}`}>
+            {change.percent >= 0 ? <TrendingUp className="w-4 h-4" /> : <TrendingDown className="w-4 h-4" />}
+            {formatPercent(change.percent, { digits: 1, signed: true })}
+            <span className="font-normal text-gray-500 text-xs">
+              {t('trend.changeDetail', {
+                from: formatCurrency(change.from.price),
+                fromPeriod: formatPeriodLabel(change.from.name, 'monthly', i18n),
+                to: formatCurrency(change.to.price),
+                toPeriod: formatPeriodLabel(change.to.name, 'monthly', i18n),
+              })}
+            </span>
+          </span>
+        ) : (
+          <span className="text-gray-400 italic text-xs">
+            {status === 'loading' ? t('trend.calculating') : t('trend.noMonthlyHistory')}
+          </span>
+        )}
+      </div>
+
+      {/* CHART */}
+      <div ref={chartRef} className="h-72">
+        {status === 'error' ? (
+          <div className="h-full flex items-center justify-center text-red-500 text-sm">{error ? i18n.formatError(error) : t('trend.loadError')}</div>
+        ) : trends.length > 0 ? (
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e5e7eb" />
+            <XAxis dataKey="name" tick={{fontSize: 12, fill: '#6b7280'}} axisLine={false} tickLine={false} tickFormatter={(name) => formatPeriodLabel(name, activeGranularity, i18n)} />
+            <YAxis tick={{fontSize: 12, fill: '#6b7280'}} axisLine={false} tickLine={false} tickFormatter={(value) => formatCurrency(value)} />
+            <RechartsTooltip content={<TrendTooltip rollingWindow={rollingWindow} granularity={activeGranularity} metric={metric} />} />
+            <Legend wrapperStyle={{fontSize: 12}} />
+            {projection.length > 0 && (
+              <Area dataKey="band" name={t('trend.projectionRange')} stroke="none" fill="#f59e0b" fillOpacity={0.15} isAnimationActive={false} />
+            )}
+            <Line type="monotone" dataKey="price" name={getMedianLabel(metric, i18n)} stroke="#2563eb" strokeWidth={3}
+              dot={trends.length <= MAX_DOTTED_POINTS ? {r: 4, fill: '#2563eb', strokeWidth: 2, stroke: '#fff'} : false} activeDot={{r: 6}} />
+            {rollingWindow > 0 && (
+              <Line type="monotone" dataKey="rolling" name={t('trend.rollingLabel', { window: rollingWindow })} stroke="#a855f7" strokeWidth={2} dot={false} connectNulls />
+            )}
+            {projection.length > 0 && (
+              <Line type="linear" dataKey="projection" name={t('trend.projection')} stroke="#f59e0b" strokeWidth={2} strokeDasharray="6 4" dot={false} />
+            )}
+          </ComposedChart>
+        </ResponsiveContainer>
+        ) : (
+        <div className="h-full flex items-center justify-center text-gray-400 italic text-sm">
+          {status === 'loading' ? t('trend.loading') : t('common.notEnoughHistory')}
+        </div>
+        )}
+      </div>
+
+      {showProjection && (
+        <p className="text-xs text-gray-500">
+          {projection.length > 0
+            ? t('trend.projectionNote', {
+              count: Math.min(trends.length, PROJECTION_FIT_POINTS),
+              granularity: t(`trend.${activeGranularity}`).toLocaleLowerCase(i18n.locale),
+              periods: PROJECTION_PERIODS,
+            })
+            : t('trend.projectionTooShort', { count: PROJECTION_MIN_POINTS })}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default TrendChart;
@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react';
+import { Star, X, TrendingUp, TrendingDown, Minus, Loader2, CheckCheck } from 'lucide-react';
+import { describeFilters } from '../filters';
+import { searchRentals, isAbortError } from '../api';
+import { compareToSnapshot } from '../watchlist';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Snapshot each card compares the current figures with
+const BASELINES = ['lastViewed', 'saved'];
+
+// Helper: Up/down indicator for one tracked figure. Rent rises are red, like the trend change;
+// listing counts are neutral.
+function ChangeBadge({ change, format, isPrice }) {
+  const { formatPercent } = useI18n();
+  if (change.diff === 0) {
+    return <span className="flex items-center gap-0.5 text-gray-400"><Minus className="w-3.5 h-3.5" /></span>;
+  }
+  const isUp = change.diff > 0;
+  const color = isPrice ? (isUp ? 'text-red-600' : 'text-green-600') : 'text-gray-600';
+  return (
+    <span className={`flex items-center gap-0.5 font-semibold ${color}`}>
+      {isUp ? <TrendingUp className="w-3.5 h-3.5" /> : <TrendingDown className="w-3.5 h-3.5" />}
+      {format(change.diff)}
+      {change.percent != null && <span className="font-normal">({formatPercent(change.percent, { digits: 1, signed: true })})</span>}
+    </span>
+  );
+}
+
+// Dashboard of starred analyses: current median rent and listing count against the figures
+// from when each was saved or last opened. Clicking a card reopens its full analysis.
+function Watchlist({ entries, source, onOpen, onRemove, onMarkAllViewed }) {
+  const i18n = useI18n();
+  const { t, formatCurrency, formatNumber, formatDate, formatError } = i18n;
+  const [baseline, setBaseline] = useState('lastViewed');
+  const [current, setCurrent] = useState({});
+
+  // Current total-rent figures for every entry; with the same params as the app's own searches,
+  // an entry that was just analysed is answered from the API cache
+  useEffect(() => {
+    const controller = new AbortController();
+    entries.forEach(entry => {
+      searchRentals({ ...entry.query, metric: 'rent' }, { signal: controller.signal })
+        .then(data => setCurrent(prev => ({ ...prev, [entry.key]: { status: data.found ? 'done' : 'empty', data } })))
+        .catch(err => {
+          if (isAbortError(err)) return;
+          setCurrent(prev => ({ ...prev, [entry.key]: { status: 'error', error: err } }));
+        });
+    });
+    return () => controller.abort();
+  }, [entries, source]);
+
+  const loadedData = Object.fromEntries(entries
+    .filter(entry => current[entry.key] && current[entry.key].status === 'done')
+    .map(entry => [entry.key, current[entry.key].data]));
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200 w-full">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4 border-b pb-2">
+        <h3 className="font-bold text-gray-900 flex items-center gap-2">
+          <Star size={16} className="text-amber-400 fill-amber-400" />
+          {t('watchlist.title', { count: entries.length })}
+        </h3>
+        <div className="flex items-center gap-3 text-xs">
+          <div className="flex rounded-md bg-gray-100 p-0.5 font-medium">
+            {BASELINES.map(key => (
+              <button key={key} type="button" onClick={() => setBaseline(key)}
+                className={`px-2.5 py-1 rounded ${baseline === key ? 'bg-white shadow-sm text-blue-700' : 'text-gray-500 hover:text-gray-700'}`}>
+                {t(`watchlist.since.${key}`)}
+              </button>
+            ))}
+          </div>
+          <button type="button" onClick={() => onMarkAllViewed(loadedData)} disabled={Object.keys(loadedData).length === 0}
+            className="flex items-center gap-1 font-medium text-blue-600 hover:text-blue-700 disabled:text-gray-300" title={t('watchlist.markAllHint')}>
+            <CheckCheck size={14} /> {t('watchlist.markAll')}
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+        {entries.map(entry => {
+          const state = current[entry.key];
+          const snapshot = entry[baseline];
+          const filterLabels = describeFilters(entry.query, i18n);
+          return (
+            <div key={entry.key} role="button" tabIndex={0}
+              onClick={() => onOpen(entry.query)}
+              onKeyDown={(e) => { if (e.key === 'Enter') onOpen(entry.query); }}
+              className="group p-3 rounded-lg border border-gray-100 bg-gray-50 hover:bg-blue-50 hover:border-blue-200 cursor-pointer transition-all text-xs space-y-2">
+              <div className="flex items-start justify-between gap-2">
+                <div>
+                  <p className="font-semibold text-sm text-gray-900 group-hover:text-blue-700">{entry.query.houseType}</p>
+                  <p className="text-gray-500">{entry.query.district}, {entry.query.state}</p>
+                  {filterLabels.length > 0 && <p className="text-[10px] text-blue-600">{filterLabels.join(' · ')}</p>}
+                </div>
+                <button type="button" title={t('watchlist.remove')}
+                  onClick={(e) => { e.stopPropagation(); onRemove(entry.key); }}
+                  className="text-gray-300 hover:text-red-500 transition-colors">
+                  <X size={14} />
+                </button>
+              </div>
+
+              {!state ? (
+                <div className="flex items-center gap-1.5 text-gray-400"><Loader2 className="w-3.5 h-3.5 animate-spin" /> {t('watchlist.loading')}</div>
+              ) : state.status === 'error' ? (
+                <p className="text-red-600">{formatError(state.error)}</p>
+              ) : state.status === 'empty' ? (
+                <p className="text-gray-400 italic">{t('watchlist.noListings')}</p>
+              ) : (
+                <div className="space-y-1">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="text-gray-500">{t('common.medianRent')}</span>
+                    <span className="font-bold text-base text-gray-900">{formatCurrency(state.data.medianRent)}</span>
+                  </div>
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="text-gray-400">{t('watchlist.was', { value: formatCurrency(snapshot.medianRent) })}</span>
+                    <ChangeBadge isPrice change={compareToSnapshot(state.data, snapshot, 'medianRent')}
+                      format={(diff) => formatCurrency(diff, { maximumFractionDigits: 0, signDisplay: 'exceptZero' })} />
+                  </div>
+                  <div className="flex items-center justify-between gap-2 pt-1 border-t border-gray-200">
+                    <span className="text-gray-500">{t('common.listingsLabel')}</span>
+                    <span className="font-bold text-gray-900">{formatNumber(state.data.count)}</span>
+                  </div>
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="text-gray-400">{t('watchlist.was', { value: formatNumber(snapshot.count) })}</span>
+                    <ChangeBadge change={compareToSnapshot(state.data, snapshot, 'count')}
+                      format={(diff) => formatNumber(diff, { signDisplay: 'exceptZero' })} />
+                  </div>
+                </div>
+              )}
+
+              <p className="text-[10px] text-gray-400">
+                {t(`watchlist.${baseline}At`, { date: formatDate(snapshot.at) })}
+              </p>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default Watchlist;
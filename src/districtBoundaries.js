@@ -0,0 +1,74 @@
+import { isInRing } from './regions';
+
+// District boundary polygons used by the choropleth map mode.
+// The GeoJSON is bundled as a static file in public/geo/ so it is fetched only when the mode is opened.
+export const DISTRICT_BOUNDARIES_URL = `${import.meta.env.BASE_URL}geo/malaysia-districts.geojson`;
+
+// Feature property names tried in order (GADM uses NAME_1/NAME_2, geoBoundaries uses shapeName)
+const STATE_PROPS = ['state', 'State', 'NAME_1', 'ADM1_EN'];
+const DISTRICT_PROPS = ['district', 'District', 'NAME_2', 'ADM2_EN', 'shapeName'];
+
+let boundariesPromise = null;
+
+// Helper: Lower-cases and strips spacing/punctuation so "Kuala Lumpur" matches "KualaLumpur" or "kuala-lumpur"
+export const normalizeName = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const pickProp = (properties, keys) => {
+  const key = keys.find(k => properties[k]);
+  return key ? properties[key] : '';
+};
+
+// Helper: State and district names of a boundary feature
+export const getFeatureNames = (feature) => {
+  const properties = feature.properties || {};
+  return {
+    state: pickProp(properties, STATE_PROPS),
+    district: pickProp(properties, DISTRICT_PROPS),
+  };
+};
+
+// Loads the boundary file once per session
+export const loadDistrictBoundaries = () => {
+  if (!boundariesPromise) {
+    boundariesPromise = fetch(DISTRICT_BOUNDARIES_URL)
+      .then(res => {
+        if (!res.ok) throw new Error(`District boundaries could not be loaded (${res.status}).`);
+        return res.text();
+      })
+      .then(text => {
+        // A missing file comes back as the app's index.html where the host falls back to it
+        let data = null;
+        try {
+          data = JSON.parse(text);
+        } catch {
+          // Reported below
+        }
+        // The file isn't part of the repository yet (see public/geo/README.md)
+        if (!data || !Array.isArray(data.features)) {
+          const error = new Error('District boundaries are not available on this site yet.');
+          error.code = 'noBoundaries';
+          throw error;
+        }
+        return data;
+      })
+      .catch(error => {
+        // Allow another attempt next time the mode is opened
+        boundariesPromise = null;
+        throw error;
+      });
+  }
+  return boundariesPromise;
+};
+
+// Helper: Inside the outer ring and outside every hole of a GeoJSON polygon ([lng, lat] positions)
+const isInPolygonCoords = ([outer, ...holes], lng, lat) => (
+  isInRing(outer, lng, lat) && !holes.some(hole => isInRing(hole, lng, lat))
+);
+
+// The boundary feature containing a map position, or null
+export const findFeatureAt = (features, lat, lng) => features.find(feature => {
+  const geometry = feature.geometry || {};
+  if (geometry.type === 'Polygon') return isInPolygonCoords(geometry.coordinates, lng, lat);
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates.some(polygon => isInPolygonCoords(polygon, lng, lat));
+  return false;
+}) || null;
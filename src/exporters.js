@@ -0,0 +1,202 @@
+// Browser-only exports of the current analysis: CSV/JSON downloads, chart PNGs and the map snapshot
+// used by the printable report. Nothing here talks to the backend.
+import { describeFilters, getActiveFilters } from './filters';
+import { POINT_FIELDS, toListing } from './listings';
+import { getMetric } from './metrics';
+
+// Exported images are drawn at twice the on-screen size so they stay sharp in reports
+const IMAGE_SCALE = 2;
+
+// Helper: Lower-case, dash-separated text for file names
+const slugify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Helper: Base file name for a result, e.g. "rentvision-petaling-condominium-2026-01-16"
+export const getExportName = (result) => {
+  const date = new Date().toISOString().slice(0, 10);
+  return ['rentvision', slugify(result.query.district), slugify(result.query.houseType), date].join('-');
+};
+
+// Helper: Saves text or a data URL as a file
+export const downloadFile = (filename, content, mimeType) => {
+  const isDataUrl = typeof content === 'string' && content.startsWith('data:');
+  const url = isDataUrl ? content : URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  if (!isDataUrl) URL.revokeObjectURL(url);
+};
+
+// Helper: Quotes a CSV cell when it contains a comma, quote or line break
+const csvCell = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRows = (rows) => rows.map(row => row.map(csvCell).join(',')).join('\n');
+
+// Headline numbers of a result (shared by CSV and JSON); amounts are in the result's metric
+const getSummary = (result) => ({
+  state: result.query.state,
+  district: result.query.district,
+  propertyType: result.query.houseType,
+  filters: getActiveFilters(result.query),
+  metric: getMetric(result),
+  medianRent: result.medianRent,
+  lowerQuartile: result.lowerQuartile,
+  upperQuartile: result.upperQuartile,
+  priceStats: result.priceStats || null,
+  suggestedIncome: result.suitableIncome,
+  listingCount: result.count,
+  listingCountBeforeFilters: result.totalCount,
+  listingsWithoutUsableSize: result.excludedCount || 0,
+  commonFeatures: result.commonFeatures,
+  generatedAt: new Date().toISOString(),
+});
+
+// CSV with one section per table: summary, comparison, trends, distribution, map points
+export const buildResultCsv = (result) => {
+  const summary = getSummary(result);
+  const unit = summary.metric === 'sqft' ? 'RM/sqft' : 'RM';
+  const sections = [
+    csvRows([
+      ['Metric', 'Value'],
+      ['State', summary.state],
+      ['District', summary.district],
+      ['Property Type', summary.propertyType],
+      ['Filters', describeFilters(result.query).join('; ')],
+      ['Analysed As', summary.metric === 'sqft' ? 'Rent per sqft' : 'Total rent'],
+      [`Median Rent (${unit})`, summary.medianRent],
+      [`Lower Quartile (${unit})`, summary.lowerQuartile],
+      [`Upper Quartile (${unit})`, summary.upperQuartile],
+      ...(summary.priceStats ? [
+        [`Mean Rent (${unit})`, summary.priceStats.mean],
+        [`P10 (${unit})`, summary.priceStats.p10],
+        [`P90 (${unit})`, summary.priceStats.p90],
+        [`Interquartile Range (${unit})`, summary.priceStats.iqr],
+      ] : []),
+      ...(summary.suggestedIncome != null ? [['Suggested Income (RM)', summary.suggestedIncome]] : []),
+      ['Listings', summary.listingCount],
+      ['Listings Before Filters', summary.listingCountBeforeFilters],
+      ...(summary.metric === 'sqft' ? [['Listings Without Usable Size', summary.listingsWithoutUsableSize]] : []),
+      ['Common Features', summary.commonFeatures.join('; ')],
+      ['Generated', summary.generatedAt],
+    ]),
+    csvRows([
+      ['Comparison'],
+      ['Property Type', `Median Rent (${unit})`, `Difference (${unit})`],
+      ...(result.comparison || []).map(item => [item.type, item.medianRent, item.diff]),
+    ]),
+    csvRows([
+      ['Trends'],
+      ['Date', `Median Rent (${unit})`, 'Listings'],
+      ...(result.trends || []).map(point => [point.name, point.price, point.count]),
+    ]),
+    csvRows([
+      ['Distribution'],
+      [`Range (${unit})`, 'Listings'],
+      ...(result.distribution || []).map(bin => [bin.range, bin.count]),
+    ]),
+    csvRows([
+      ['Map Points'],
+      [
+        'Latitude', 'Longitude', 'Rent (RM)', 'Listing ID', 'Bedrooms', 'Bathrooms',
+        'Size (sqft)', 'Furnishing', 'Extract Date', 'Rent per sqft (RM)',
+      ],
+      ...(result.points || []).map(pt => POINT_FIELDS.map((_, i) => pt[i])),
+    ]),
+  ];
+  return sections.join('\n\n');
+};
+
+export const buildResultJson = (result) => JSON.stringify({
+  ...getSummary(result),
+  comparison: result.comparison || [],
+  trends: result.trends || [],
+  distribution: result.distribution || [],
+  points: (result.points || []).map(toListing),
+}, null, 2);
+
+// Helper: Loads an image from a URL and waits until it can be drawn
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error('Image could not be rendered.'));
+  img.src = src;
+});
+
+// Helper: Renders an inline SVG element to an <img> at its on-screen size
+const svgToImage = async (svg) => {
+  const { width, height } = svg.getBoundingClientRect();
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  const markup = new XMLSerializer().serializeToString(clone);
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+  try {
+    return await loadImage(url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+// Helper: Blank canvas with a background, scaled for sharp output
+const createCanvas = (width, height, background = '#ffffff') => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width * IMAGE_SCALE;
+  canvas.height = height * IMAGE_SCALE;
+  const ctx = canvas.getContext('2d');
+  ctx.scale(IMAGE_SCALE, IMAGE_SCALE);
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, width, height);
+  return { canvas, ctx };
+};
+
+// PNG data URL of the Recharts chart inside `container`
+export const chartToDataUrl = async (container) => {
+  const svg = container && container.querySelector('svg.recharts-surface');
+  if (!svg) throw new Error('No chart to export.');
+  const { width, height } = svg.getBoundingClientRect();
+  const { canvas, ctx } = createCanvas(width, height);
+  ctx.drawImage(await svgToImage(svg), 0, 0, width, height);
+  return canvas.toDataURL('image/png');
+};
+
+export const downloadChartPng = async (container, filename) => {
+  downloadFile(filename, await chartToDataUrl(container));
+};
+
+// PNG data URL of what the Leaflet map currently shows: tiles plus the overlays (listings, regions, districts).
+// If the tile server doesn't allow cross-origin reads the canvas would be tainted, so the
+// snapshot falls back to the overlay on a plain background.
+export const snapshotMap = async (map) => {
+  const container = map.getContainer();
+  const origin = container.getBoundingClientRect();
+
+  const render = async (withTiles) => {
+    const { canvas, ctx } = createCanvas(origin.width, origin.height, '#e5e7eb');
+    const drawAt = (img, el) => {
+      const r = el.getBoundingClientRect();
+      ctx.drawImage(img, r.left - origin.left, r.top - origin.top, r.width, r.height);
+    };
+
+    if (withTiles) {
+      container.querySelectorAll('.leaflet-tile-pane img.leaflet-tile-loaded').forEach(img => drawAt(img, img));
+    }
+    // Vector shapes are SVG; the GPU listing layer is a WebGL canvas
+    for (const el of container.querySelectorAll('.leaflet-overlay-pane svg, .leaflet-overlay-pane canvas')) {
+      drawAt(el.tagName.toLowerCase() === 'canvas' ? el : await svgToImage(el), el);
+    }
+    return canvas.toDataURL('image/png');
+  };
+
+  try {
+    return await render(true);
+  } catch (error) {
+    if (error.name !== 'SecurityError') throw error;
+    return render(false);
+  }
+};
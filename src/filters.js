@@ -0,0 +1,61 @@
+// Optional listing attribute filters sent with /search alongside state/district/type.
+// Values are kept as strings (form inputs, URL params); '' means "any".
+import { createI18n } from './i18n';
+
+export const EMPTY_FILTERS = {
+  bedrooms: '',
+  bathrooms: '',
+  furnishing: '',
+  minSize: '',
+  maxSize: '',
+  minPrice: '',
+  maxPrice: '',
+};
+
+export const FILTER_KEYS = Object.keys(EMPTY_FILTERS);
+
+// Choices for the room selects; "5+" means five or more
+export const BEDROOM_OPTIONS = ['1', '2', '3', '4', '5+'];
+export const BATHROOM_OPTIONS = ['1', '2', '3', '4+'];
+
+// Helper: Picks the filter fields out of a search query (missing ones become '')
+export const pickFilters = (params) => {
+  const filters = { ...EMPTY_FILTERS };
+  FILTER_KEYS.forEach(key => { if (params[key]) filters[key] = String(params[key]); });
+  return filters;
+};
+
+// Helper: Only the filters that are set
+export const getActiveFilters = (filters) => {
+  const active = {};
+  FILTER_KEYS.forEach(key => { if (filters[key]) active[key] = filters[key]; });
+  return active;
+};
+
+// Helper: Stable identity of a state/district/type combination (plus any listing filters),
+// used to match pins and watchlist entries
+export const getQueryKey = (query) => [
+  query.state, query.district, query.houseType,
+  new URLSearchParams(getActiveFilters(query)).toString(),
+].join('|');
+
+// Helper: Short labels for the active filters, e.g. ["3 beds", "Fully Furnished", "RM 1,000 – RM 2,000"],
+// in the language of `i18n` (English when omitted, as in the exports)
+export const describeFilters = (filters, i18n = createI18n()) => {
+  const { t, formatCurrency, formatNumber } = i18n;
+  const labels = [];
+  const range = (min, max, format) => {
+    if (min && max) return `${format(min)} – ${format(max)}`;
+    if (min) return `≥ ${format(min)}`;
+    return `≤ ${format(max)}`;
+  };
+
+  if (filters.bedrooms) labels.push(t('filters.beds', { value: filters.bedrooms }));
+  if (filters.bathrooms) labels.push(t('filters.baths', { value: filters.bathrooms }));
+  if (filters.furnishing) labels.push(filters.furnishing);
+  if (filters.minSize || filters.maxSize) {
+    labels.push(range(filters.minSize, filters.maxSize, v => t('filters.sqft', { value: formatNumber(Number(v)) })));
+  }
+  if (filters.minPrice || filters.maxPrice) labels.push(range(filters.minPrice, filters.maxPrice, v => formatCurrency(Number(v))));
+  return labels;
+};
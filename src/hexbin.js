@@ -0,0 +1,89 @@
+import L from 'leaflet';
+import { percentile } from './stats';
+import { getMarkerColor } from './mapColors';
+
+// Hexagonal binning of listing points on a pointy-top hex grid in Web Mercator metres,
+// so hexagons look regular on the map at every latitude.
+const projection = L.Projection.SphericalMercator;
+const SQRT3 = Math.sqrt(3);
+
+// Helper: Mercator metres per screen pixel at a zoom level (256px tiles)
+export const metersPerPixel = (zoom) => (2 * Math.PI * projection.R) / (256 * 2 ** zoom);
+
+// Helper: Axial hex coordinates (q, r) containing a projected point, via cube rounding
+const toHex = (x, y, radius) => {
+  const q = ((SQRT3 / 3) * x - (1 / 3) * y) / radius;
+  const r = ((2 / 3) * y) / radius;
+  const s = -q - r;
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(s);
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - s);
+  if (dq > dr && dq > ds) rq = -rr - rs;
+  else if (dr > ds) rr = -rq - rs;
+  return { q: rq, r: rr };
+};
+
+// Helper: Closed ring of [lng, lat] corners for a hex (GeoJSON order)
+const hexRing = ({ q, r }, radius) => {
+  const cx = radius * SQRT3 * (q + r / 2);
+  const cy = radius * 1.5 * r;
+  const ring = [];
+  for (let i = 0; i <= 6; i++) {
+    const angle = (Math.PI / 180) * (60 * (i % 6) - 30);
+    const { lat, lng } = projection.unproject(L.point(cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)));
+    ring.push([lng, lat]);
+  }
+  return ring;
+};
+
+// Groups [lat, lng, price] points into hexagons of `radius` metres, summarising `valueOf(point)`
+// (the price unless given). Returns GeoJSON features (count, median and colour per hex) and a lookup for hover.
+export const buildHexBins = (points, radius, valueOf = (point) => point[2]) => {
+  const bins = new Map();
+  points.forEach((point) => {
+    const [lat, lng] = point;
+    const price = valueOf(point);
+    const { x, y } = projection.project(L.latLng(lat, lng));
+    const hex = toHex(x, y, radius);
+    const key = `${hex.q},${hex.r}`;
+    const bin = bins.get(key) || { hex, prices: [] };
+    bin.prices.push(price);
+    bins.set(key, bin);
+  });
+
+  const stats = new Map();
+  bins.forEach((bin, key) => {
+    const sorted = bin.prices.sort((a, b) => a - b);
+    // Rounded to the sen so values per sqft keep their decimals
+    stats.set(key, { count: sorted.length, median: Math.round(percentile(sorted, 50) * 100) / 100 });
+  });
+
+  const medians = [...stats.values()].map(s => s.median);
+  const min = medians.length ? Math.min(...medians) : 0;
+  const max = medians.length ? Math.max(...medians) : 0;
+
+  const features = [];
+  bins.forEach((bin, key) => {
+    const { count, median } = stats.get(key);
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Polygon', coordinates: [hexRing(bin.hex, radius)] },
+      properties: { count, median, color: getMarkerColor(median, min, max) },
+    });
+  });
+
+  return {
+    geojson: { type: 'FeatureCollection', features },
+    min,
+    max,
+    // Stats of the hex under a lat/lng, or null when it holds no listings
+    lookup: (lat, lng) => {
+      const { x, y } = projection.project(L.latLng(lat, lng));
+      const hex = toHex(x, y, radius);
+      return stats.get(`${hex.q},${hex.r}`) || null;
+    },
+  };
+};
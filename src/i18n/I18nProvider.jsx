@@ -0,0 +1,20 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { createI18n, readStoredLang, storeLang } from './index';
+
+const I18nContext = createContext({ ...createI18n(), setLang: () => {} });
+
+// Holds the chosen UI language, remembers it and keeps <html lang> in step
+export function I18nProvider({ children }) {
+  const [lang, setLang] = useState(readStoredLang);
+
+  useEffect(() => {
+    storeLang(lang);
+    document.documentElement.lang = lang;
+  }, [lang]);
+
+  const value = useMemo(() => ({ ...createI18n(lang), setLang }), [lang]);
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+// { lang, setLang, t, formatCurrency, formatNumber, formatPercent, formatDate, formatError }
+export const useI18n = () => useContext(I18nContext);
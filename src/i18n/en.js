@@ -0,0 +1,293 @@
+// English UI text, grouped by screen area. {name} placeholders are filled in by t();
+// entries with `one` / `other` forms are picked by the `count` variable.
+export default {
+  nav: {
+    dataSourceHint: 'Where the analysis data comes from',
+    apiServer: 'API server',
+    loadDataset: 'Load dataset',
+    loadDatasetHint: 'Analyse a CSV or JSON dataset file in the browser, without the server',
+    language: 'Language',
+  },
+  header: {
+    title: 'Rental Market Analysis',
+    intro: 'Select a region below to see median rental prices, affordability metrics based on the 30% rule, and available property features.',
+  },
+  common: {
+    listings: { one: '{count} listing', other: '{count} listings' },
+    tryAgain: 'Try again',
+    median: 'Median',
+    medianRent: 'Median Rent',
+    suggestedIncome: 'Suggested Income',
+    listingsLabel: 'Listings',
+    lowerQuartile: 'Lower Quartile',
+    upperQuartile: 'Upper Quartile',
+    state: 'State',
+    district: 'District',
+    propertyType: 'Property Type',
+    countOfTotal: '{count} of {total}',
+    notEnoughHistory: 'Not enough historical data.',
+    noDistribution: 'No distribution data available.',
+    noData: 'No data',
+  },
+  map: {
+    listings: 'Listings',
+    districts: 'Districts',
+    points: 'Points',
+    density: 'Density',
+    hexes: 'Hexes',
+    allMalaysia: 'All Malaysia',
+    choroplethTitle: 'Median Rent · {type}',
+    unmatchedDistricts: {
+      one: '{count} district with data has no boundary on the map.',
+      other: '{count} districts with data have no boundary on the map.',
+    },
+    listingDensity: 'Listing Density',
+    few: 'Few',
+    many: 'Many',
+    medianPerHex: 'Median Rent per Hex',
+    priceHeatmap: 'Price Heatmap',
+    low: 'Low',
+    high: 'High',
+    spatialNote: 'Note: The distribution within the map only shows the rental listing with spatial information.',
+    medianPrice: 'Median {price}',
+    noListingsForType: 'No listings for this type',
+  },
+  listing: {
+    perMonth: '{price} / month',
+    id: 'Listing #{id}',
+    close: 'Close',
+    aboveMedian: '{amount} ({percent}) above the district median of {median}',
+    belowMedian: '{amount} ({percent}) below the district median of {median}',
+    atMedian: 'Exactly the district median of {median}',
+    size: 'Size',
+    pricePerSqft: 'Price per sqft',
+    extractDate: 'Extract date',
+    nearbyWithin: 'Nearby listings within',
+    noNearby: 'No other mapped listings within this radius.',
+  },
+  search: {
+    title: 'Find Rental Data',
+    collapsedTitle: 'Search Filters',
+    loadingDatabase: 'Loading database...',
+    selectType: 'Select Type',
+    analyze: 'Analyze Market',
+    analyzing: 'Analyzing...',
+  },
+  picker: {
+    label: 'Location',
+    placeholder: 'Search a district or state…',
+    clear: 'Clear location',
+    noMatches: 'No matching district or state.',
+    types: { one: '{count} type', other: '{count} types' },
+    districts: { one: '{count} district', other: '{count} districts' },
+    pickOnMap: 'Pick the district on the map',
+    pickHint: 'Click the map to pick the district under the cursor.',
+    noDistrictHere: 'No district with data was found at that spot.',
+    boundariesUnavailable: 'District boundaries are not available, so the map can\'t be used to pick a district.',
+  },
+  filters: {
+    title: 'Listing Filters',
+    clear: 'Clear',
+    any: 'Any',
+    bedrooms: 'Bedrooms',
+    bathrooms: 'Bathrooms',
+    furnishing: 'Furnishing',
+    minSize: 'Min Size (sqft)',
+    maxSize: 'Max Size (sqft)',
+    minRent: 'Min Rent (RM)',
+    maxRent: 'Max Rent (RM)',
+    beds: '{value} beds',
+    baths: '{value} baths',
+    sqft: '{value} sqft',
+  },
+  results: {
+    title: 'Analysis Result',
+    titleFor: 'Analysis Result of {type} in {district}, {state}',
+    pin: 'Pin',
+    pinned: 'Pinned',
+    alreadyPinned: 'Already pinned',
+    pinLimit: 'You can pin up to {max} areas',
+    pinHint: 'Pin for side-by-side comparison',
+    pinFailed: 'This analysis could not be pinned. {reason}',
+    loadingTitle: 'Analyzing market...',
+    loadingText: 'Fetching {type} listings in {district}, {state}.',
+    errorTitle: 'Something went wrong.',
+    noMatchTitle: 'No listings match your filters.',
+    noMatchText: 'None of the {count} {type} listings in {district} match {filters}. Try loosening the filters.',
+    clearFilters: 'Clear filters',
+    noDataTitle: 'No data found.',
+    noDataText: 'There are no {type} listings in {district}, {state}. Try another property type or district.',
+    filteredCount: '{count} of {total} listings match these filters.',
+    suggestedIncomeHint: 'The suggested income is based on the suggested worldwide benchmark on spending 30% of income for rent.',
+    commonCharacteristics: 'Common Characteristics',
+    noFeatures: 'No common features found.',
+    compareIn: 'Compare in {district}',
+    vsCurrent: '{diff} vs current',
+    noComparison: 'No other property types available to compare in this district.',
+    basedOn: { one: 'Based on {count} listing.', other: 'Based on {count} listings.' },
+    emptyTitle: 'No analysis generated yet.',
+    emptyText: 'Use the search form on the map to find rental data for a specific region.',
+  },
+  // Total rent vs rent per square foot (see metrics.js)
+  metric: {
+    label: 'Show',
+    rent: 'Total rent',
+    sqft: 'RM per sqft',
+    hint: 'Compare by total monthly rent, or by rent per square foot to compare units of different sizes',
+    medianPerSqft: 'Median Rent per sqft',
+    excluded: {
+      one: '{count} listing without a usable floor size (missing, or outside {min}–{max} sqft) is left out.',
+      other: '{count} listings without a usable floor size (missing, or outside {min}–{max} sqft) are left out.',
+    },
+    allExcludedTitle: 'No usable floor sizes.',
+    allExcludedText: 'None of the {count} matching {type} listings in {district} has a usable floor size, so rent per sqft can\'t be worked out.',
+    showTotalRent: 'Show total rent',
+    rentOnly: 'Suggested income and the affordability check use total rent.',
+    choroplethTitle: 'Median Rent per sqft · {type}',
+    medianPerHex: 'Median Rent per sqft per Hex',
+  },
+  // Common characteristics reported by the analysis ("850 sqft", "3 Beds", "2 Baths")
+  features: {
+    sqft: '{value} sqft',
+    beds: { one: '{count} Bed', other: '{count} Beds' },
+    baths: { one: '{count} Bath', other: '{count} Baths' },
+  },
+  insights: {
+    trendTitle: 'Price Trend History',
+    distributionTitle: 'Price Distribution',
+  },
+  affordability: {
+    title: 'Can I Afford It?',
+    income: 'Monthly Income',
+    household: 'Household',
+    maxShare: 'Max Share',
+    budgetIntro: 'At {threshold} of {income}, your rent budget is',
+    budgetOutro: 'a month.',
+    perPerson: '{amount} per person',
+    shareOfIncome: '{percent} of income',
+    otherTypes: 'Other types within budget',
+    noOtherTypes: 'No other property type in this district has a median rent within your budget.',
+    enterIncome: 'Enter your monthly income to see which rents fit your budget.',
+  },
+  region: {
+    title: 'Drawn Region',
+    clear: 'Clear drawn region',
+    inside: '{count} of {total} mapped listings inside',
+    region: 'Region',
+    district: 'District',
+    lowerQuartile: 'Lower Quartile (P25)',
+    upperQuartile: 'Upper Quartile (P75)',
+    noneInside: 'No mapped listings fall inside this region.',
+    circle: 'Circle, {radius} radius',
+    rectangle: 'Rectangle',
+    polygon: 'Polygon, {count} corners',
+  },
+  draw: {
+    circle: 'Draw a circle',
+    rectangle: 'Draw a rectangle',
+    polygon: 'Draw a polygon',
+    circleHint: 'Click and drag to draw a circle.',
+    rectangleHint: 'Click and drag to draw a rectangle.',
+    polygonHint: 'Click to add corners, double-click to finish.',
+    cancel: 'Cancel',
+  },
+  pins: {
+    title: 'Pinned Areas ({count}/{max})',
+    remove: 'Remove pin',
+    needMore: 'Pin at least one more area to compare trends and distributions.',
+    distributionShare: 'Price Distribution (% of listings)',
+  },
+  watchlist: {
+    title: { one: 'Watchlist ({count} search)', other: 'Watchlist ({count} searches)' },
+    star: 'Add to watchlist',
+    unstar: 'Remove from watchlist',
+    starFailed: 'This analysis could not be added to the watchlist. {reason}',
+    remove: 'Remove from watchlist',
+    since: { lastViewed: 'Since last viewed', saved: 'Since saved' },
+    markAll: 'Mark all as seen',
+    markAllHint: 'Use the current figures as the last-viewed values of every card',
+    loading: 'Loading…',
+    noListings: 'No listings right now.',
+    was: 'was {value}',
+    lastViewedAt: 'Last viewed {date}',
+    savedAt: 'Saved {date}',
+  },
+  export: {
+    button: 'Export',
+    preparing: 'Preparing...',
+    csv: 'Download CSV',
+    json: 'Download JSON',
+    report: 'Printable report',
+    chartPng: 'Download chart as PNG',
+  },
+  report: {
+    title: 'RentVision Market Report',
+    heading: '{type} in {district}, {state}',
+    generated: 'Generated {date}',
+    quartileRange: 'Lower – Upper Quartile',
+    filters: 'Filters:',
+    none: 'None',
+    commonCharacteristics: 'Common characteristics:',
+    mapAlt: 'Map of listings',
+    trendAlt: 'Price trend chart',
+    distributionAlt: 'Price distribution chart',
+    footer: 'Based on {count} listings. The map only shows listings with spatial information.',
+  },
+  trend: {
+    daily: 'Daily',
+    weekly: 'Weekly',
+    monthly: 'Monthly',
+    quarterly: 'Quarterly',
+    quarter: 'Q{quarter} {year}',
+    rollingMedian: 'Rolling median',
+    off: 'Off',
+    periods: { one: '{count} period', other: '{count} periods' },
+    showProjection: 'Show projection',
+    changeOver: 'Change over the last',
+    months: '{count} months',
+    changeDetail: '({from} in {fromPeriod} → {to} in {toPeriod})',
+    calculating: 'Calculating…',
+    noMonthlyHistory: 'Not enough monthly history.',
+    loading: 'Loading trend…',
+    loadError: 'Trend data could not be loaded.',
+    rollingLabel: '{window}-period rolling median',
+    projection: 'Projection (linear trend)',
+    projectionRange: 'Projection range (~95%)',
+    projected: 'Projected {price}',
+    range: 'Range {low} – {high}',
+    projectionNote: 'Projection: the straight-line trend of the last {count} {granularity} points extended {periods} periods ahead, with a ~95% range. It is an extrapolation, not a forecast of future rents.',
+    projectionTooShort: 'At least {count} periods are needed for a projection.',
+  },
+  distribution: {
+    mean: 'Mean',
+    iqr: 'IQR',
+    histogram: 'Histogram',
+    boxPlot: 'Box plot',
+    binWidth: 'Bin width',
+    yourBudget: 'Your budget',
+    budgetLegend: 'Your budget ({amount})',
+    whiskers: 'Whiskers reach the furthest listings within 1.5 × IQR; {count} beyond them.',
+    enterIncome: 'Enter your income in "Can I Afford It?" to mark your budget.',
+    budgetBelow: 'Your budget of {amount} is below the cheapest listing.',
+    budgetAbove: 'Your budget of {amount} is above the dearest listing.',
+    loading: 'Loading distribution…',
+    loadError: 'Distribution could not be loaded.',
+    under: 'Under {amount}',
+    andAbove: '{amount} and above',
+    edgeBins: 'Cut to the 1st–99th percentile: the lighter end bars also count the listings beyond them.',
+  },
+  // Embeddable <rentvision-card> (src/widget)
+  widget: {
+    title: '{type} in {district}',
+    trendCaption: 'Median rent by month',
+    loading: 'Loading rental data…',
+    missingAttributes: 'Set the state, district and type attributes to show this card.',
+    noListings: 'No listings for this location and property type.',
+    source: 'Data: RentVision',
+  },
+  errors: {
+    network: 'Could not reach the rental data server. Please check your connection and try again.',
+    server: 'The rental data server responded with an error ({status}).',
+    noBoundaries: 'District boundaries are not available on this site yet.',
+  },
+};
@@ -0,0 +1,108 @@
+// UI languages, translation lookup and locale-aware formatting of money, numbers and dates.
+// createI18n() is plain JS so non-React helpers (filters, regions) can take it as a parameter;
+// components get the current one from useI18n() (see I18nProvider.jsx).
+import en from './en';
+import ms from './ms';
+
+export const LANGUAGES = {
+  en: { label: 'EN', name: 'English', locale: 'en-MY', messages: en },
+  ms: { label: 'BM', name: 'Bahasa Malaysia', locale: 'ms-MY', messages: ms },
+};
+
+export const DEFAULT_LANG = 'en';
+
+const STORAGE_KEY = 'rentvision:lang';
+
+// Helper: Saved language, else the browser's when it is Malay, else English
+export const readStoredLang = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (LANGUAGES[saved]) return saved;
+  } catch {
+    // Storage can be blocked (private mode, sandboxed iframes)
+  }
+  const browser = typeof navigator !== 'undefined' ? navigator.language || '' : '';
+  return /^(ms|zsm)\b/i.test(browser) ? 'ms' : DEFAULT_LANG;
+};
+
+export const storeLang = (lang) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, lang);
+  } catch {
+    // Not remembered, but the switch still applies to this visit
+  }
+};
+
+// Helper: Message at a dotted key ("results.title"), or undefined
+const lookup = (messages, key) => key.split('.').reduce((node, part) => (node == null ? node : node[part]), messages);
+
+// Helper: 'YYYY-MM-DD' strings are calendar days, so they are formatted in UTC to keep the same day
+const toDate = (value) => (typeof value === 'string' ? new Date(`${value.slice(0, 10)}T00:00:00Z`) : value);
+
+const instances = new Map();
+
+// Translator and formatters for one language (created once per language)
+export const createI18n = (lang) => {
+  const code = LANGUAGES[lang] ? lang : DEFAULT_LANG;
+  if (instances.has(code)) return instances.get(code);
+
+  const { locale, messages } = LANGUAGES[code];
+  const plurals = new Intl.PluralRules(locale);
+  const numberFormat = new Intl.NumberFormat(locale);
+  const currencyFormat = new Intl.NumberFormat(locale, { style: 'currency', currency: 'MYR', maximumFractionDigits: 0 });
+
+  const formatNumber = (value, options) => (
+    options ? new Intl.NumberFormat(locale, options) : numberFormat
+  ).format(value);
+
+  // Ringgit, whole by default (pass { maximumFractionDigits: 2 } for e.g. RM per sqft)
+  const formatCurrency = (value, options) => (
+    options ? new Intl.NumberFormat(locale, { style: 'currency', currency: 'MYR', ...options }) : currencyFormat
+  ).format(value);
+
+  // `value` is already in percent (4.2 -> "4.2%"); `signed` adds "+" to increases
+  const formatPercent = (value, { digits = 0, signed = false } = {}) => new Intl.NumberFormat(locale, {
+    style: 'percent',
+    maximumFractionDigits: digits,
+    minimumFractionDigits: digits,
+    signDisplay: signed ? 'exceptZero' : 'auto',
+  }).format(value / 100);
+
+  const formatDate = (value, options = { dateStyle: 'medium' }) => new Intl.DateTimeFormat(locale, {
+    ...options,
+    ...(typeof value === 'string' ? { timeZone: 'UTC' } : {}),
+  }).format(toDate(value));
+
+  // Message for `key` with {placeholders} filled from `vars`; numbers are formatted for the locale
+  const t = (key, vars = {}) => {
+    let message = lookup(messages, key) ?? lookup(en, key) ?? key;
+    if (typeof message === 'object') message = message[plurals.select(vars.count)] ?? message.other;
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      const value = vars[name];
+      if (value == null) return match;
+      return typeof value === 'number' ? numberFormat.format(value) : value;
+    });
+  };
+
+  // Translated text for errors raised by the app itself; server-supplied messages pass through
+  const formatError = (error) => {
+    if (error.code === 'network') return t('errors.network');
+    if (error.code === 'noBoundaries') return t('errors.noBoundaries');
+    if (error.status) return t('errors.server', { status: String(error.status) });
+    return error.message;
+  };
+
+  const i18n = { lang: code, locale, t, formatNumber, formatCurrency, formatPercent, formatDate, formatError };
+  instances.set(code, i18n);
+  return i18n;
+};
+
+// Helper: Localised common characteristic from the analysis ("850 sqft", "3 Beds", "2 Baths");
+// anything else (furnishing values from the data) is shown as-is
+export const translateFeature = (feature, { t, formatNumber }) => {
+  const match = /^(\d+) (sqft|Beds|Baths)$/.exec(feature);
+  if (!match) return feature;
+  const value = Number(match[1]);
+  if (match[2] === 'sqft') return t('features.sqft', { value: formatNumber(value) });
+  return t(match[2] === 'Beds' ? 'features.beds' : 'features.baths', { count: value });
+};
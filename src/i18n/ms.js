@@ -0,0 +1,285 @@
+// Bahasa Malaysia UI text (same keys as en.js; missing keys fall back to English)
+export default {
+  nav: {
+    dataSourceHint: 'Sumber data analisis',
+    apiServer: 'Pelayan API',
+    loadDataset: 'Muat set data',
+    loadDatasetHint: 'Analisis fail set data CSV atau JSON dalam pelayar, tanpa pelayan',
+    language: 'Bahasa',
+  },
+  header: {
+    title: 'Analisis Pasaran Sewa',
+    intro: 'Pilih kawasan di bawah untuk melihat harga sewa median, metrik kemampuan bayar berdasarkan peraturan 30%, dan ciri-ciri hartanah yang tersedia.',
+  },
+  common: {
+    listings: { other: '{count} iklan' },
+    tryAgain: 'Cuba lagi',
+    median: 'Median',
+    medianRent: 'Sewa Median',
+    suggestedIncome: 'Pendapatan Dicadangkan',
+    listingsLabel: 'Iklan',
+    lowerQuartile: 'Kuartil Bawah',
+    upperQuartile: 'Kuartil Atas',
+    state: 'Negeri',
+    district: 'Daerah',
+    propertyType: 'Jenis Hartanah',
+    countOfTotal: '{count} daripada {total}',
+    notEnoughHistory: 'Data sejarah tidak mencukupi.',
+    noDistribution: 'Tiada data taburan.',
+    noData: 'Tiada data',
+  },
+  map: {
+    listings: 'Iklan',
+    districts: 'Daerah',
+    points: 'Titik',
+    density: 'Kepadatan',
+    hexes: 'Heksagon',
+    allMalaysia: 'Seluruh Malaysia',
+    choroplethTitle: 'Sewa Median · {type}',
+    unmatchedDistricts: { other: '{count} daerah yang mempunyai data tiada sempadan pada peta.' },
+    listingDensity: 'Kepadatan Iklan',
+    few: 'Sedikit',
+    many: 'Banyak',
+    medianPerHex: 'Sewa Median setiap Heksagon',
+    priceHeatmap: 'Peta Haba Harga',
+    low: 'Rendah',
+    high: 'Tinggi',
+    spatialNote: 'Nota: Taburan pada peta hanya menunjukkan iklan sewa yang mempunyai maklumat lokasi.',
+    medianPrice: 'Median {price}',
+    noListingsForType: 'Tiada iklan untuk jenis ini',
+  },
+  listing: {
+    perMonth: '{price} / bulan',
+    id: 'Iklan #{id}',
+    close: 'Tutup',
+    aboveMedian: '{amount} ({percent}) lebih tinggi daripada median daerah {median}',
+    belowMedian: '{amount} ({percent}) lebih rendah daripada median daerah {median}',
+    atMedian: 'Sama dengan median daerah {median}',
+    size: 'Saiz',
+    pricePerSqft: 'Harga sekaki persegi',
+    extractDate: 'Tarikh ekstrak',
+    nearbyWithin: 'Iklan berdekatan dalam lingkungan',
+    noNearby: 'Tiada iklan berpeta lain dalam jejari ini.',
+  },
+  search: {
+    title: 'Cari Data Sewa',
+    collapsedTitle: 'Penapis Carian',
+    loadingDatabase: 'Memuatkan pangkalan data...',
+    selectType: 'Pilih Jenis',
+    analyze: 'Analisis Pasaran',
+    analyzing: 'Menganalisis...',
+  },
+  picker: {
+    label: 'Lokasi',
+    placeholder: 'Cari daerah atau negeri…',
+    clear: 'Kosongkan lokasi',
+    noMatches: 'Tiada daerah atau negeri yang sepadan.',
+    types: { other: '{count} jenis' },
+    districts: { other: '{count} daerah' },
+    pickOnMap: 'Pilih daerah pada peta',
+    pickHint: 'Klik pada peta untuk memilih daerah di bawah kursor.',
+    noDistrictHere: 'Tiada daerah dengan data ditemui di lokasi itu.',
+    boundariesUnavailable: 'Sempadan daerah tidak tersedia, jadi peta tidak boleh digunakan untuk memilih daerah.',
+  },
+  filters: {
+    title: 'Penapis Iklan',
+    clear: 'Kosongkan',
+    any: 'Semua',
+    bedrooms: 'Bilik Tidur',
+    bathrooms: 'Bilik Air',
+    furnishing: 'Perabot',
+    minSize: 'Saiz Min (kaki persegi)',
+    maxSize: 'Saiz Maks (kaki persegi)',
+    minRent: 'Sewa Min (RM)',
+    maxRent: 'Sewa Maks (RM)',
+    beds: '{value} bilik tidur',
+    baths: '{value} bilik air',
+    sqft: '{value} kaki persegi',
+  },
+  results: {
+    title: 'Hasil Analisis',
+    titleFor: 'Hasil Analisis {type} di {district}, {state}',
+    pin: 'Semat',
+    pinned: 'Disemat',
+    alreadyPinned: 'Sudah disemat',
+    pinLimit: 'Anda boleh menyemat sehingga {max} kawasan',
+    pinHint: 'Semat untuk perbandingan sebelah-menyebelah',
+    pinFailed: 'Analisis ini tidak dapat disemat. {reason}',
+    loadingTitle: 'Menganalisis pasaran...',
+    loadingText: 'Mendapatkan iklan {type} di {district}, {state}.',
+    errorTitle: 'Berlaku ralat.',
+    noMatchTitle: 'Tiada iklan yang sepadan dengan penapis anda.',
+    noMatchText: 'Tiada satu pun daripada {count} iklan {type} di {district} yang sepadan dengan {filters}. Cuba longgarkan penapis.',
+    clearFilters: 'Kosongkan penapis',
+    noDataTitle: 'Tiada data ditemui.',
+    noDataText: 'Tiada iklan {type} di {district}, {state}. Cuba jenis hartanah atau daerah lain.',
+    filteredCount: '{count} daripada {total} iklan sepadan dengan penapis ini.',
+    suggestedIncomeHint: 'Pendapatan dicadangkan berdasarkan penanda aras sedunia, iaitu membelanjakan 30% daripada pendapatan untuk sewa.',
+    commonCharacteristics: 'Ciri-ciri Biasa',
+    noFeatures: 'Tiada ciri biasa ditemui.',
+    compareIn: 'Bandingkan di {district}',
+    vsCurrent: '{diff} berbanding semasa',
+    noComparison: 'Tiada jenis hartanah lain untuk dibandingkan di daerah ini.',
+    basedOn: { other: 'Berdasarkan {count} iklan.' },
+    emptyTitle: 'Belum ada analisis.',
+    emptyText: 'Gunakan borang carian pada peta untuk mendapatkan data sewa bagi sesuatu kawasan.',
+  },
+  metric: {
+    label: 'Tunjuk',
+    rent: 'Jumlah sewa',
+    sqft: 'RM sekaki persegi',
+    hint: 'Bandingkan mengikut jumlah sewa bulanan, atau sewa sekaki persegi untuk membandingkan unit yang berlainan saiz',
+    medianPerSqft: 'Sewa Median sekaki persegi',
+    excluded: {
+      other: '{count} iklan tanpa saiz lantai yang boleh digunakan (tiada, atau di luar {min}–{max} kaki persegi) tidak diambil kira.',
+    },
+    allExcludedTitle: 'Tiada saiz lantai yang boleh digunakan.',
+    allExcludedText: 'Tiada satu pun daripada {count} iklan {type} di {district} yang mempunyai saiz lantai yang boleh digunakan, jadi sewa sekaki persegi tidak dapat dikira.',
+    showTotalRent: 'Tunjuk jumlah sewa',
+    rentOnly: 'Pendapatan dicadangkan dan semakan kemampuan menggunakan jumlah sewa.',
+    choroplethTitle: 'Sewa Median sekaki persegi · {type}',
+    medianPerHex: 'Sewa Median sekaki persegi setiap Heksagon',
+  },
+  features: {
+    sqft: '{value} kaki persegi',
+    beds: { other: '{count} Bilik Tidur' },
+    baths: { other: '{count} Bilik Air' },
+  },
+  insights: {
+    trendTitle: 'Sejarah Trend Harga',
+    distributionTitle: 'Taburan Harga',
+  },
+  affordability: {
+    title: 'Mampukah Saya?',
+    income: 'Pendapatan Bulanan',
+    household: 'Isi Rumah',
+    maxShare: 'Bahagian Maks',
+    budgetIntro: 'Pada kadar {threshold} daripada {income}, bajet sewa anda ialah',
+    budgetOutro: 'sebulan.',
+    perPerson: '{amount} seorang',
+    shareOfIncome: '{percent} daripada pendapatan',
+    otherTypes: 'Jenis lain dalam bajet',
+    noOtherTypes: 'Tiada jenis hartanah lain di daerah ini yang sewa mediannya dalam bajet anda.',
+    enterIncome: 'Masukkan pendapatan bulanan anda untuk melihat sewa yang sesuai dengan bajet anda.',
+  },
+  region: {
+    title: 'Kawasan Dilukis',
+    clear: 'Padam kawasan dilukis',
+    inside: '{count} daripada {total} iklan berpeta di dalamnya',
+    region: 'Kawasan',
+    district: 'Daerah',
+    lowerQuartile: 'Kuartil Bawah (P25)',
+    upperQuartile: 'Kuartil Atas (P75)',
+    noneInside: 'Tiada iklan berpeta di dalam kawasan ini.',
+    circle: 'Bulatan, jejari {radius}',
+    rectangle: 'Segi empat tepat',
+    polygon: 'Poligon, {count} bucu',
+  },
+  draw: {
+    circle: 'Lukis bulatan',
+    rectangle: 'Lukis segi empat tepat',
+    polygon: 'Lukis poligon',
+    circleHint: 'Klik dan seret untuk melukis bulatan.',
+    rectangleHint: 'Klik dan seret untuk melukis segi empat tepat.',
+    polygonHint: 'Klik untuk menambah bucu, klik dua kali untuk selesai.',
+    cancel: 'Batal',
+  },
+  pins: {
+    title: 'Kawasan Disemat ({count}/{max})',
+    remove: 'Buang semat',
+    needMore: 'Semat sekurang-kurangnya satu lagi kawasan untuk membandingkan trend dan taburan.',
+    distributionShare: 'Taburan Harga (% iklan)',
+  },
+  watchlist: {
+    title: { other: 'Senarai Pantau ({count} carian)' },
+    star: 'Tambah ke senarai pantau',
+    unstar: 'Buang dari senarai pantau',
+    starFailed: 'Analisis ini tidak dapat ditambah ke senarai pantau. {reason}',
+    remove: 'Buang dari senarai pantau',
+    since: { lastViewed: 'Sejak kali terakhir dilihat', saved: 'Sejak disimpan' },
+    markAll: 'Tandakan semua sebagai dilihat',
+    markAllHint: 'Gunakan angka semasa sebagai nilai terakhir dilihat bagi setiap kad',
+    loading: 'Memuatkan…',
+    noListings: 'Tiada iklan buat masa ini.',
+    was: 'sebelum ini {value}',
+    lastViewedAt: 'Terakhir dilihat {date}',
+    savedAt: 'Disimpan {date}',
+  },
+  export: {
+    button: 'Eksport',
+    preparing: 'Menyediakan...',
+    csv: 'Muat turun CSV',
+    json: 'Muat turun JSON',
+    report: 'Laporan untuk dicetak',
+    chartPng: 'Muat turun carta sebagai PNG',
+  },
+  report: {
+    title: 'Laporan Pasaran RentVision',
+    heading: '{type} di {district}, {state}',
+    generated: 'Dijana pada {date}',
+    quartileRange: 'Kuartil Bawah – Atas',
+    filters: 'Penapis:',
+    none: 'Tiada',
+    commonCharacteristics: 'Ciri-ciri biasa:',
+    mapAlt: 'Peta iklan',
+    trendAlt: 'Carta trend harga',
+    distributionAlt: 'Carta taburan harga',
+    footer: 'Berdasarkan {count} iklan. Peta hanya menunjukkan iklan yang mempunyai maklumat lokasi.',
+  },
+  trend: {
+    daily: 'Harian',
+    weekly: 'Mingguan',
+    monthly: 'Bulanan',
+    quarterly: 'Suku Tahunan',
+    quarter: 'S{quarter} {year}',
+    rollingMedian: 'Median bergerak',
+    off: 'Tutup',
+    periods: { other: '{count} tempoh' },
+    showProjection: 'Tunjukkan unjuran',
+    changeOver: 'Perubahan dalam tempoh',
+    months: '{count} bulan lepas',
+    changeDetail: '({from} pada {fromPeriod} → {to} pada {toPeriod})',
+    calculating: 'Mengira…',
+    noMonthlyHistory: 'Sejarah bulanan tidak mencukupi.',
+    loading: 'Memuatkan trend…',
+    loadError: 'Data trend tidak dapat dimuatkan.',
+    rollingLabel: 'Median bergerak {window} tempoh',
+    projection: 'Unjuran (trend linear)',
+    projectionRange: 'Julat unjuran (~95%)',
+    projected: 'Unjuran {price}',
+    range: 'Julat {low} – {high}',
+    projectionNote: 'Unjuran: trend garis lurus bagi {count} titik {granularity} terakhir, dilanjutkan {periods} tempoh ke hadapan dengan julat ~95%. Ini ialah ekstrapolasi, bukan ramalan sewa pada masa hadapan.',
+    projectionTooShort: 'Sekurang-kurangnya {count} tempoh diperlukan untuk unjuran.',
+  },
+  distribution: {
+    mean: 'Purata',
+    iqr: 'IQR',
+    histogram: 'Histogram',
+    boxPlot: 'Plot kotak',
+    binWidth: 'Lebar selang',
+    yourBudget: 'Bajet anda',
+    budgetLegend: 'Bajet anda ({amount})',
+    whiskers: 'Misai mencapai iklan terjauh dalam lingkungan 1.5 × IQR; {count} di luarnya.',
+    enterIncome: 'Masukkan pendapatan anda dalam "Mampukah Saya?" untuk menanda bajet anda.',
+    budgetBelow: 'Bajet anda sebanyak {amount} lebih rendah daripada iklan termurah.',
+    budgetAbove: 'Bajet anda sebanyak {amount} lebih tinggi daripada iklan termahal.',
+    loading: 'Memuatkan taburan…',
+    loadError: 'Taburan tidak dapat dimuatkan.',
+    under: 'Bawah {amount}',
+    andAbove: '{amount} dan ke atas',
+    edgeBins: 'Dipotong pada persentil ke-1 hingga ke-99: bar hujung yang lebih cerah turut mengira iklan di luarnya.',
+  },
+  widget: {
+    title: '{type} di {district}',
+    trendCaption: 'Sewa median mengikut bulan',
+    loading: 'Memuatkan data sewa…',
+    missingAttributes: 'Tetapkan atribut state, district dan type untuk memaparkan kad ini.',
+    noListings: 'Tiada iklan untuk lokasi dan jenis hartanah ini.',
+    source: 'Data: RentVision',
+  },
+  errors: {
+    network: 'Tidak dapat menghubungi pelayan data sewa. Sila semak sambungan anda dan cuba lagi.',
+    server: 'Pelayan data sewa membalas dengan ralat ({status}).',
+    noBoundaries: 'Sempadan daerah belum tersedia di laman ini.',
+  },
+};
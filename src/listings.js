@@ -0,0 +1,20 @@
+import L from 'leaflet';
+
+// Map points arrive as compact arrays, one per geocoded listing, with the fields in this order
+// (see build_points in the backend). Missing values are null.
+export const POINT_FIELDS = [
+  'lat', 'lng', 'price', 'id', 'bedrooms', 'bathrooms', 'size', 'furnishing', 'extractDate', 'pricePerSqft',
+];
+
+// Helper: Map point -> { lat, lng, price, id, ... }
+export const toListing = (point) => Object.fromEntries(POINT_FIELDS.map((field, i) => [field, point[i] ?? null]));
+
+// Helper: The other points within `radius` metres of `origin`, nearest first: [{ point, distance }]
+export const findNearby = (points, origin, radius) => {
+  const center = L.latLng(origin[0], origin[1]);
+  return points
+    .filter(point => point !== origin)
+    .map(point => ({ point, distance: center.distanceTo([point[0], point[1]]) }))
+    .filter(({ distance }) => distance <= radius)
+    .sort((a, b) => a.distance - b.distance);
+};
@@ -0,0 +1,39 @@
+// Main-thread client for the analysis worker (standalone static mode).
+// Requests go to the worker with the same paths and params as the HTTP API.
+
+// Creates a worker-backed data source; call load() before request()
+export const createLocalDataSource = () => {
+  const worker = new Worker(new URL('./analysis/analysis.worker.js', import.meta.url), { type: 'module' });
+  const pending = new Map();
+  let nextId = 0;
+
+  worker.onmessage = ({ data }) => {
+    const entry = pending.get(data.id);
+    if (!entry) return;
+    pending.delete(data.id);
+    if (data.error) {
+      entry.reject(new Error(data.error));
+    } else {
+      entry.resolve(data.result);
+    }
+  };
+
+  worker.onerror = (event) => {
+    const error = new Error(event.message || 'The analysis worker stopped unexpectedly.');
+    pending.forEach(entry => entry.reject(error));
+    pending.clear();
+  };
+
+  const send = (message) => new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject });
+    worker.postMessage({ ...message, id });
+  });
+
+  return {
+    // source: dataset URL or an uploaded File
+    load: (source) => send({ type: 'load', source }),
+    request: (path, params) => send({ type: 'request', path, params }),
+    terminate: () => worker.terminate(),
+  };
+};
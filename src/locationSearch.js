@@ -0,0 +1,146 @@
+// Type-ahead search over the states and districts of the location tree (/options).
+// Matching ignores case, accents and punctuation, folds common spelling variants
+// ("Bahru"/"Baharu"/"Baru", "Penang"/"Pulau Pinang", "W.P."), and forgives small typos.
+
+// Whole-word spelling variants, applied to names and queries alike (after lower-casing)
+const VARIANTS = [
+  [/\b(bahru|baharu|bharu)\b/g, 'baru'],
+  [/\bprai\b/g, 'perai'],
+  [/\bmalacca\b/g, 'melaka'],
+  [/\bpenang\b/g, 'pulau pinang'],
+  [/\bp\.? ?pinang\b/g, 'pulau pinang'],
+  [/\bn\.? ?sembilan\b|\bn9\b/g, 'negeri sembilan'],
+  [/\bkl\b/g, 'kuala lumpur'],
+  [/\bjb\b/g, 'johor baru'],
+  [/\bpj\b/g, 'petaling jaya'],
+  [/\b(wilayah persekutuan|federal territory of|federal territory|w\.? ?p\.?)\b/g, ''],
+  [/\bsg\.? /g, 'sungai '],
+  [/\bkg\.? /g, 'kampung '],
+  [/\bbt\.? /g, 'batu '],
+];
+
+// Most suggestions shown at once
+export const MAX_SUGGESTIONS = 12;
+
+// Helper: Lower-cased words with accents, punctuation and spelling variants folded
+const toWords = (text) => {
+  let folded = String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  VARIANTS.forEach(([pattern, replacement]) => { folded = folded.replace(pattern, replacement); });
+  return folded.replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+};
+
+// Helper: Comparable form of a whole name ("W.P. Kuala Lumpur" -> "kualalumpur")
+export const foldName = (name) => toWords(name).join('');
+
+// Helper: Edit distance, with an adjacent swap counting as one edit (at most a few letters are compared)
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
+
+// Helper: How well one query word matches the best of `words` (0 = not at all, 3 = exactly)
+const wordScore = (query, words) => words.reduce((best, word) => {
+  if (word === query) return Math.max(best, 3);
+  if (word.startsWith(query)) return Math.max(best, 2.5);
+  if (query.length >= 3 && word.includes(query)) return Math.max(best, 1.5);
+  // Typos: compare with the start of the word, allowing one edit (two for long words)
+  if (query.length >= 4 && editDistance(query, word.slice(0, query.length)) <= (query.length >= 7 ? 2 : 1)) {
+    return Math.max(best, 1);
+  }
+  return best;
+}, 0);
+
+// Builds the searchable entries once per location tree:
+// { kind: 'state' | 'district', state, district, typeCount, districtCount? }
+export const buildLocationIndex = (locationTree) => {
+  const entries = [];
+  Object.entries(locationTree).forEach(([state, districts]) => {
+    const stateTypes = new Set();
+    Object.entries(districts).forEach(([district, types]) => {
+      types.forEach(type => stateTypes.add(type));
+      entries.push({
+        kind: 'district', state, district, typeCount: types.length,
+        words: toWords(district), stateWords: toWords(state), folded: foldName(district),
+      });
+    });
+    entries.push({
+      kind: 'state', state, district: '', typeCount: stateTypes.size, districtCount: Object.keys(districts).length,
+      words: toWords(state), stateWords: [], folded: foldName(state),
+    });
+  });
+  return entries;
+};
+
+// Helper: Relevance of an entry for a query (0 = no match). Every query word has to match;
+// words matching the district itself count for more than words matching its state.
+const scoreEntry = (entry, queryWords, queryFolded) => {
+  if (entry.folded === queryFolded) return 100;
+  if (entry.folded.startsWith(queryFolded)) return 90;
+  let total = 0;
+  for (const word of queryWords) {
+    const score = Math.max(wordScore(word, entry.words) * 10, wordScore(word, entry.stateWords) * 4);
+    if (score === 0) return 0;
+    total += score;
+  }
+  return total / queryWords.length;
+};
+
+// Suggestions for a query, best first; ties go to states, then to places with more property types
+export const searchLocations = (index, query, limit = MAX_SUGGESTIONS) => {
+  const queryWords = toWords(query);
+  if (queryWords.length === 0) return [];
+  const queryFolded = queryWords.join('');
+  return index
+    .map(entry => ({ entry, score: scoreEntry(entry, queryWords, queryFolded) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score
+      || (a.entry.kind === 'state' ? -1 : 0) - (b.entry.kind === 'state' ? -1 : 0)
+      || b.entry.typeCount - a.entry.typeCount
+      || a.entry.district.localeCompare(b.entry.district))
+    .slice(0, limit)
+    .map(({ entry }) => entry);
+};
+
+// The district of the location tree with the given (boundary file) names, or null.
+// Falls back to a district-only match when the state names differ but the district is unique.
+export const findTreeLocation = (locationTree, names) => {
+  const district = foldName(names.district);
+  if (!district) return null;
+  const candidates = [];
+  Object.entries(locationTree).forEach(([state, districts]) => {
+    Object.keys(districts).forEach(name => {
+      if (foldName(name) === district) candidates.push({ state, district: name });
+    });
+  });
+  const state = foldName(names.state);
+  return candidates.find(c => foldName(c.state) === state)
+    || (candidates.length === 1 ? candidates[0] : null);
+};
+
+// Farthest (km) a map click can be from a district's listings and still pick that district
+export const MAX_PICK_DISTANCE_KM = 25;
+
+// The district whose median listing position (district_centres of /options) is nearest a map
+// position, or null when none is within `maxDistanceKm`. Used when there are no boundary polygons.
+export const findNearestDistrict = (districtCentres, lat, lng, maxDistanceKm = MAX_PICK_DISTANCE_KM) => {
+  let nearest = null;
+  Object.entries(districtCentres).forEach(([state, districts]) => {
+    Object.entries(districts).forEach(([district, [centreLat, centreLng]]) => {
+      // Equirectangular approximation, close enough over tens of kilometres
+      const dx = (centreLng - lng) * Math.cos((((centreLat + lat) / 2) * Math.PI) / 180);
+      const distance = Math.hypot(dx, centreLat - lat) * 111.32;
+      if (distance <= maxDistanceKm && (!nearest || distance < nearest.distance)) nearest = { state, district, distance };
+    });
+  });
+  return nearest && { state: nearest.state, district: nearest.district };
+};
@@ -1,12 +1,15 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import { I18nProvider } from './i18n/I18nProvider'
 
 import './index.css'                // <--- 1. Tailwind styles
 import 'leaflet/dist/leaflet.css'   // <--- 2. Map styles
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <I18nProvider>
+      <App />
+    </I18nProvider>
   </React.StrictMode>,
 )
\ No newline at end of file
@@ -0,0 +1,15 @@
+// Shared colour scale for map layers: green (cheap) -> yellow -> red (expensive)
+
+// Helper to calculate color based on price range
+export const getMarkerColor = (price, min, max) => {
+  if (min === max) return '#3b82f6'; // Default blue if only one price
+  
+  // Calculate relative position (0 to 1)
+  let ratio = (price - min) / (max - min);
+  if (ratio < 0) ratio = 0;
+  if (ratio > 1) ratio = 1;
+  
+  // Calculate Hue: 120 (Green) -> 60 (Yellow) -> 0 (Red)
+  const hue = ((1 - ratio) * 120).toString(10);
+  return `hsl(${hue}, 80%, 45%)`;
+};
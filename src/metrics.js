@@ -0,0 +1,40 @@
+// Analysis metrics: total monthly rent, or rent per square foot of floor area.
+// The analysis endpoints take `metric` and answer with their usual keys (medianRent, priceStats,
+// trends, distribution, ...) holding values of that metric; see apply_metric in the backend.
+import { POINT_FIELDS } from './listings';
+
+export const METRICS = ['rent', 'sqft'];
+
+// Histogram bin widths offered per metric (RM, RM per sqft); the search result holds the default
+export const BIN_WIDTHS = {
+  rent: [100, 250, 500, 1000, 2000],
+  sqft: [0.1, 0.25, 0.5, 1, 2],
+};
+export const DEFAULT_BIN_WIDTHS = { rent: 500, sqft: 0.5 };
+
+// Sizes (sqft) the per-sqft metric accepts; the backend leaves out everything else
+export const PLAUSIBLE_SIZE = { min: 100, max: 20000 };
+
+const PRICE_INDEX = POINT_FIELDS.indexOf('price');
+const PER_SQFT_INDEX = POINT_FIELDS.indexOf('pricePerSqft');
+
+// Helper: Metric of a response (total rent when the server doesn't say)
+export const getMetric = (data) => (data && data.metric) || 'rent';
+
+// Helper: Value of a map point in a metric (null when the listing has no size)
+export const getPointValue = (point, metric) => point[metric === 'sqft' ? PER_SQFT_INDEX : PRICE_INDEX];
+
+// Helper: Rounds like the analysis does: whole ringgit, or to the sen for RM per sqft
+export const roundValue = (value, metric) => (
+  metric === 'sqft' ? Math.round(value * 100) / 100 : Math.round(value)
+);
+
+// Helper: Ringgit formatter for values of a metric; `options` add to the digits (e.g. signDisplay)
+export const getValueFormatter = (metric, { formatCurrency }) => (
+  metric === 'sqft'
+    ? (value, options) => formatCurrency(value, { minimumFractionDigits: 2, maximumFractionDigits: 2, ...options })
+    : (value, options) => formatCurrency(value, options && { maximumFractionDigits: 0, ...options })
+);
+
+// Helper: Label of the headline median ("Median Rent" / "Median Rent per sqft")
+export const getMedianLabel = (metric, { t }) => t(metric === 'sqft' ? 'metric.medianPerSqft' : 'common.medianRent');
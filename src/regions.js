@@ -0,0 +1,63 @@
+import L from 'leaflet';
+import { createI18n } from './i18n';
+
+// Shapes drawn on the map for a custom catchment area:
+//   { type: 'circle', center: [lat, lng], radius }   (radius in metres)
+//   { type: 'rectangle', bounds: [[south, west], [north, east]] }
+//   { type: 'polygon', latlngs: [[lat, lng], ...] }
+
+// Helper: Ray-casting point-in-polygon test of the point (x, y) against a ring of [x, y] pairs
+export const isInRing = (ring, x, y) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xI, yI] = ring[i];
+    const [xJ, yJ] = ring[j];
+    const crosses = (xI > x) !== (xJ > x)
+      && y < ((yJ - yI) * (x - xI)) / (xJ - xI) + yI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+// Helper: True when the point lies inside the drawn region
+export const isPointInRegion = (region, lat, lng) => {
+  switch (region.type) {
+    case 'circle':
+      return L.latLng(region.center).distanceTo([lat, lng]) <= region.radius;
+    case 'rectangle':
+      return L.latLngBounds(region.bounds).contains([lat, lng]);
+    case 'polygon':
+      return isInRing(region.latlngs, lat, lng);
+    default:
+      return false;
+  }
+};
+
+// Helper: Builds a circle/rectangle from the drag start and the current cursor position
+export const regionFromDrag = (type, start, end) => {
+  if (type === 'circle') {
+    return { type, center: [start.lat, start.lng], radius: start.distanceTo(end) };
+  }
+  return {
+    type,
+    bounds: [
+      [Math.min(start.lat, end.lat), Math.min(start.lng, end.lng)],
+      [Math.max(start.lat, end.lat), Math.max(start.lng, end.lng)],
+    ],
+  };
+};
+
+// Helper: Distance in metres as "850 m" or "1.2 km"
+export const formatDistance = (metres, { formatNumber }) => (
+  metres >= 1000
+    ? `${formatNumber(metres / 1000, { minimumFractionDigits: 1, maximumFractionDigits: 1 })} km`
+    : `${formatNumber(Math.round(metres))} m`
+);
+
+// Helper: Short human label for a region (used in the stats panel)
+export const describeRegion = (region, i18n = createI18n()) => {
+  const { t } = i18n;
+  if (region.type === 'circle') return t('region.circle', { radius: formatDistance(region.radius, i18n) });
+  if (region.type === 'rectangle') return t('region.rectangle');
+  return t('region.polygon', { count: region.latlngs.length });
+};
@@ -0,0 +1,73 @@
+// Descriptive statistics computed in the browser (drawn regions, client-side analysis).
+// Percentiles interpolate linearly between ranks, the same as pandas' quantile() on the backend.
+
+// Helper: Value at percentile p (0-100) of an ascending-sorted array
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+// Helper: Count, median, mean, percentiles, IQR and box-plot whiskers of a list of prices.
+// Whiskers reach the furthest prices within 1.5 IQR of the box; the rest count as outliers.
+// `round` defaults to whole ringgit; the analysis port passes Math.trunc to match the backend's int().
+export const summarizePrices = (prices, round = Math.round) => {
+  const sorted = prices.filter(p => Number.isFinite(p)).sort((a, b) => a - b);
+  if (sorted.length === 0) return { count: 0 };
+
+  const q1 = percentile(sorted, 25);
+  const q3 = percentile(sorted, 75);
+  const iqr = q3 - q1;
+  const inside = sorted.filter(p => p >= q1 - 1.5 * iqr && p <= q3 + 1.5 * iqr);
+  const at = (p) => round(percentile(sorted, p));
+  return {
+    count: sorted.length,
+    median: at(50),
+    mean: round(sorted.reduce((sum, p) => sum + p, 0) / sorted.length),
+    p10: at(10),
+    p25: round(q1),
+    p75: round(q3),
+    p90: at(90),
+    iqr: round(iqr),
+    min: round(sorted[0]),
+    max: round(sorted[sorted.length - 1]),
+    lowerWhisker: round(inside[0]),
+    upperWhisker: round(inside[inside.length - 1]),
+    outliers: sorted.length - inside.length,
+  };
+};
+
+// Most bins a histogram gets (the backend's build_distribution applies the same rule)
+export const MAX_BINS = 60;
+
+// Helper: Bin edge to the sen, so fractional widths (RM per sqft) don't pick up float noise like 0.30000000000000004
+const toBound = (value) => Math.round(value * 100) / 100;
+
+// Helper: Counts prices into fixed-width bins [from, from + width) from the cheapest to the dearest,
+// keeping empty bins in between. Past MAX_BINS the bins are cut to the 1st-99th percentile, then to
+// MAX_BINS from the bottom; prices beyond are counted in the first or last bin, marked edge: 'below' / 'above'.
+export const buildHistogram = (prices, binWidth = 500) => {
+  const sorted = prices.filter(p => Number.isFinite(p)).sort((a, b) => a - b);
+  if (sorted.length === 0) return [];
+
+  const indexOf = (p) => Math.floor(p / binWidth);
+  const lowest = indexOf(sorted[0]);
+  const highest = indexOf(sorted[sorted.length - 1]);
+  let first = lowest;
+  let last = highest;
+  if (last - first + 1 > MAX_BINS) {
+    first = indexOf(percentile(sorted, 1));
+    last = Math.min(indexOf(percentile(sorted, 99)), first + MAX_BINS - 1);
+  }
+
+  const bins = Array.from({ length: last - first + 1 }, (_, i) => {
+    const from = toBound((first + i) * binWidth);
+    return { range: `${from}-${toBound((first + i + 1) * binWidth)}`, from, count: 0 };
+  });
+  sorted.forEach(p => { bins[Math.min(Math.max(indexOf(p), first), last) - first].count += 1; });
+  if (lowest < first) Object.assign(bins[0], { range: `<${toBound((first + 1) * binWidth)}`, edge: 'below' });
+  if (highest > last) Object.assign(bins[bins.length - 1], { range: `${toBound(last * binWidth)}+`, edge: 'above' });
+  return bins;
+};
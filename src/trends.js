@@ -0,0 +1,111 @@
+// Trend series helpers: period arithmetic, rolling median, change over time and a simple projection.
+// A series is [{ name, start: 'YYYY-MM-DD', price, count }] sorted by start.
+import { percentile } from './stats';
+
+export const GRANULARITIES = ['daily', 'weekly', 'monthly', 'quarterly'];
+
+// Helper: 'YYYY-MM-DD' <-> UTC Date (UTC avoids daylight-saving and timezone shifts)
+const parseDay = (day) => new Date(`${day}T00:00:00Z`);
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// Helper: Rounds to the sen, so series of rent per sqft keep their decimals
+const roundToSen = (value) => Math.round(value * 100) / 100;
+
+// First day of the period containing `day`: weeks start on Monday (like pandas' 'W' periods)
+export const getPeriodStart = (day, granularity) => {
+  const date = parseDay(day);
+  if (granularity === 'weekly') {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  } else if (granularity === 'monthly') {
+    date.setUTCDate(1);
+  } else if (granularity === 'quarterly') {
+    date.setUTCMonth(date.getUTCMonth() - (date.getUTCMonth() % 3), 1);
+  }
+  return formatDay(date);
+};
+
+// Axis label of a period: 2025-01-06 (daily/weekly), 2025-01 (monthly), 2025-Q1 (quarterly)
+export const formatPeriod = (start, granularity) => {
+  if (granularity === 'monthly') return start.slice(0, 7);
+  if (granularity === 'quarterly') return `${start.slice(0, 4)}-Q${Math.floor(Number(start.slice(5, 7)) / 3) + 1}`;
+  return start;
+};
+
+// Start of the period `n` steps after `start`
+export const addPeriods = (start, granularity, n) => {
+  const date = parseDay(start);
+  if (granularity === 'daily') date.setUTCDate(date.getUTCDate() + n);
+  else if (granularity === 'weekly') date.setUTCDate(date.getUTCDate() + 7 * n);
+  else if (granularity === 'monthly') date.setUTCMonth(date.getUTCMonth() + n);
+  else date.setUTCMonth(date.getUTCMonth() + 3 * n);
+  return formatDay(date);
+};
+
+// Median of each point and the `window - 1` points before it (null until the window is full)
+export const rollingMedian = (series, window) => series.map((_, i) => {
+  if (i < window - 1) return null;
+  const prices = series.slice(i - window + 1, i + 1).map(p => p.price).sort((a, b) => a - b);
+  return roundToSen(percentile(prices, 50));
+});
+
+// % change from the last point at least `months` before the latest one to the latest one.
+// Returns { percent, from, to } or null when the series doesn't go back far enough.
+export const periodChange = (series, months) => {
+  if (series.length < 2) return null;
+  const latest = series[series.length - 1];
+  const cutoff = addPeriods(latest.start, 'monthly', -months);
+  const base = [...series].reverse().find(p => p.start <= cutoff);
+  if (!base || !base.price) return null;
+  return {
+    percent: ((latest.price - base.price) / base.price) * 100,
+    from: base,
+    to: latest,
+  };
+};
+
+// Helper: Periods from the start of one period to the start of another (both period starts)
+const periodsBetween = (from, to, granularity) => {
+  if (granularity === 'daily' || granularity === 'weekly') {
+    const days = (parseDay(to) - parseDay(from)) / 86400000;
+    return granularity === 'daily' ? days : days / 7;
+  }
+  const months = (Number(to.slice(0, 4)) - Number(from.slice(0, 4))) * 12 + Number(to.slice(5, 7)) - Number(from.slice(5, 7));
+  return granularity === 'monthly' ? months : months / 3;
+};
+
+// Least-squares line through the last `fitPoints` points, extended `horizon` periods ahead with a
+// ~95% prediction band. Time is measured in periods from each point's start, so gaps in the series
+// (periods without listings) keep their length. Returns [{ start, name, projection, low, high }]
+// or [] with too little data.
+export const linearProjection = (series, granularity, { horizon = 3, fitPoints = 12, minPoints = 4 } = {}) => {
+  const fit = series.slice(-fitPoints);
+  const n = fit.length;
+  if (n < minPoints) return [];
+
+  const xs = fit.map(p => periodsBetween(fit[0].start, p.start, granularity));
+  const ys = fit.map(p => p.price);
+  const xMean = xs.reduce((sum, x) => sum + x, 0) / n;
+  const yMean = ys.reduce((sum, y) => sum + y, 0) / n;
+  const sxx = xs.reduce((sum, x) => sum + (x - xMean) ** 2, 0);
+  const slope = xs.reduce((sum, x, i) => sum + (x - xMean) * (ys[i] - yMean), 0) / sxx;
+  const intercept = yMean - slope * xMean;
+  const residual = Math.sqrt(
+    xs.reduce((sum, x, i) => sum + (ys[i] - (intercept + slope * x)) ** 2, 0) / (n - 2)
+  );
+
+  const last = fit[n - 1];
+  const lastX = xs[n - 1];
+  return Array.from({ length: horizon }, (_, h) => {
+    const x = lastX + h + 1;
+    const value = intercept + slope * x;
+    const margin = 1.96 * residual * Math.sqrt(1 + 1 / n + (x - xMean) ** 2 / sxx);
+    const start = addPeriods(last.start, granularity, h + 1);
+    return {
+      start,
+      name: formatPeriod(start, granularity),
+      projection: roundToSen(value),
+      low: Math.max(0, roundToSen(value - margin)),
+      high: roundToSen(value + margin),
+    };
+  });
+};
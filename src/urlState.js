@@ -0,0 +1,84 @@
+import { FILTER_KEYS, getActiveFilters } from './filters';
+
+// Keeps the current analysis in the address bar so links can be shared
+// and the browser back/forward buttons step through previous searches.
+
+// Search field -> query string key
+const URL_KEYS = {
+  state: 'state',
+  district: 'district',
+  houseType: 'type',
+  // Analysis metric, left out for the default (total rent)
+  metric: 'metric',
+  // Listing filters keep their own names (bedrooms, minPrice, ...)
+  ...Object.fromEntries(FILTER_KEYS.map(key => [key, key])),
+};
+
+// Pinned comparison areas are stored as repeated `pin=State|District|Type|filters` params,
+// where the optional last part is the pin's listing filters as a query string
+const PIN_KEY = 'pin';
+const PIN_SEPARATOR = '|';
+
+// Helper: Turns query params into the relative URL (path + query)
+const toUrl = (params) => {
+  const q = params.toString();
+  return q ? `${window.location.pathname}?${q}` : window.location.pathname;
+};
+
+// Helper: Reads the search selections encoded in the current URL
+export const readSearchFromUrl = () => {
+  const params = new URLSearchParams(window.location.search);
+  const selections = {};
+  for (const [field, key] of Object.entries(URL_KEYS)) {
+    selections[field] = params.get(key) || '';
+  }
+  return selections;
+};
+
+// Helper: Builds the relative URL for a set of selections, keeping any pins already in the URL
+export const buildSearchUrl = (selections) => {
+  const params = new URLSearchParams(window.location.search);
+  for (const [field, key] of Object.entries(URL_KEYS)) {
+    if (selections[field]) {
+      params.set(key, selections[field]);
+    } else {
+      params.delete(key);
+    }
+  }
+  return toUrl(params);
+};
+
+// Helper: Records a search in the browser history.
+// Re-running the search already in the address bar replaces the entry instead of stacking duplicates.
+export const writeSearchToUrl = (selections) => {
+  const url = buildSearchUrl(selections);
+  const current = `${window.location.pathname}${window.location.search}`;
+  if (url === current) {
+    window.history.replaceState(null, '', url);
+  } else {
+    window.history.pushState(null, '', url);
+  }
+};
+
+// Helper: Reads the pinned comparison areas from the current URL
+export const readPinsFromUrl = () => {
+  const params = new URLSearchParams(window.location.search);
+  return params.getAll(PIN_KEY)
+    .map(value => {
+      const [state, district, houseType, filters = ''] = value.split(PIN_SEPARATOR);
+      return { state, district, houseType, ...getActiveFilters(Object.fromEntries(new URLSearchParams(filters))) };
+    })
+    .filter(pin => pin.state && pin.district && pin.houseType);
+};
+
+// Helper: Rewrites the pins in the current history entry (pin changes are not separate history steps)
+export const writePinsToUrl = (pins) => {
+  const params = new URLSearchParams(window.location.search);
+  params.delete(PIN_KEY);
+  pins.forEach(pin => {
+    const filters = new URLSearchParams(getActiveFilters(pin)).toString();
+    const parts = [pin.state, pin.district, pin.houseType];
+    params.append(PIN_KEY, (filters ? [...parts, filters] : parts).join(PIN_SEPARATOR));
+  });
+  window.history.replaceState(null, '', toUrl(params));
+};
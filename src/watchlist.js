@@ -0,0 +1,66 @@
+import { getActiveFilters, getQueryKey } from './filters';
+
+// Starred analyses, kept in localStorage so they survive between visits.
+// Each entry remembers the median rent and listing count from when it was saved and
+// from the last time its full analysis was opened, so the dashboard can show what changed.
+
+const STORAGE_KEY = 'rentvision:watchlist';
+
+// Helper: The figures tracked for an analysis, stamped with the time they were seen
+export const takeSnapshot = (data) => ({
+  medianRent: data.medianRent,
+  count: data.count,
+  at: new Date().toISOString(),
+});
+
+// Helper: True for a stored entry with a usable query and both snapshots
+const isValidEntry = (entry) => Boolean(
+  entry && entry.query && entry.query.state && entry.query.district && entry.query.houseType
+  && entry.saved && entry.lastViewed
+);
+
+// Helper: Saved entries, or [] when there are none (or storage is blocked or corrupt)
+export const readWatchlist = () => {
+  try {
+    const entries = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(entries) ? entries.filter(isValidEntry) : [];
+  } catch {
+    return [];
+  }
+};
+
+export const writeWatchlist = (entries) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch {
+    // Not saved, but the watchlist still works for this visit
+  }
+};
+
+// Helper: New entry for a search query and its result; both snapshots start out equal
+export const createWatchEntry = (query, data) => {
+  const snapshot = takeSnapshot(data);
+  const cleanQuery = {
+    state: query.state,
+    district: query.district,
+    houseType: query.houseType,
+    ...getActiveFilters(query),
+  };
+  return { key: getQueryKey(cleanQuery), query: cleanQuery, saved: snapshot, lastViewed: snapshot };
+};
+
+// Helper: Entries with the last-viewed snapshot of `key` replaced (unchanged list if `key` isn't watched)
+export const markViewed = (entries, key, data) => (
+  entries.some(entry => entry.key === key)
+    ? entries.map(entry => (entry.key === key ? { ...entry, lastViewed: takeSnapshot(data) } : entry))
+    : entries
+);
+
+// Helper: Change from a snapshot to the current figures ({ diff, percent }; percent is null from 0)
+export const compareToSnapshot = (current, snapshot, field) => {
+  const diff = current[field] - snapshot[field];
+  return {
+    diff,
+    percent: snapshot[field] ? (diff / snapshot[field]) * 100 : null,
+  };
+};
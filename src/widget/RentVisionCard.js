@@ -0,0 +1,243 @@
+// <rentvision-card>: the median rent card for partner websites, as a custom element with its own
+// shadow DOM so page styles and the card's styles don't reach each other.
+//
+//   <rentvision-card state="Selangor" district="Petaling Jaya" type="Condominium"
+//     api-base="https://api.example.com" theme="dark" lang="ms"></rentvision-card>
+//
+// api-base falls back to data-api-base on the widget's <script> tag, then to VITE_API_BASE_URL at
+// build time. theme is light (default), dark or auto (follows the visitor's system setting); lang is
+// en or ms, defaulting to the nearest lang on the page. The card's colours are CSS custom properties
+// (--rv-accent, --rv-background, ...) that the page may set on the element.
+import { createI18n } from '../i18n';
+import { buildSparkline } from './sparkline';
+
+const BUILD_API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://127.0.0.1:8000';
+
+// The <script> tag that loaded the widget is only known while it first runs
+const SCRIPT_API_BASE = (typeof document !== 'undefined' && document.currentScript?.dataset.apiBase) || '';
+
+// Sparkline box (SVG units; the drawing stretches to the card's width)
+const SPARK_WIDTH = 240;
+const SPARK_HEIGHT = 44;
+
+const STYLES = `
+  :host {
+    all: initial;
+    display: block;
+    max-width: 340px;
+    --rv-background: #ffffff;
+    --rv-text: #111827;
+    --rv-muted: #6b7280;
+    --rv-border: #e5e7eb;
+    --rv-accent: #2563eb;
+    --rv-accent-soft: rgba(37, 99, 235, 0.12);
+    --rv-error: #dc2626;
+  }
+  :host([hidden]) { display: none; }
+  :host([theme="dark"]) {
+    --rv-background: #111827;
+    --rv-text: #f9fafb;
+    --rv-muted: #9ca3af;
+    --rv-border: #374151;
+    --rv-accent: #60a5fa;
+    --rv-accent-soft: rgba(96, 165, 250, 0.18);
+    --rv-error: #f87171;
+  }
+  @media (prefers-color-scheme: dark) {
+    :host([theme="auto"]) {
+      --rv-background: #111827;
+      --rv-text: #f9fafb;
+      --rv-muted: #9ca3af;
+      --rv-border: #374151;
+      --rv-accent: #60a5fa;
+      --rv-accent-soft: rgba(96, 165, 250, 0.18);
+      --rv-error: #f87171;
+    }
+  }
+  .card {
+    box-sizing: border-box;
+    padding: 16px;
+    border: 1px solid var(--rv-border);
+    border-radius: 12px;
+    background: var(--rv-background);
+    color: var(--rv-text);
+    font: 14px/1.4 system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif;
+  }
+  .eyebrow { margin: 0; font-size: 11px; font-weight: 700; letter-spacing: 0.04em; text-transform: uppercase; color: var(--rv-muted); }
+  .title { margin: 2px 0 12px; font-size: 16px; font-weight: 700; }
+  .label { display: block; font-size: 11px; font-weight: 700; text-transform: uppercase; color: var(--rv-muted); }
+  .headline { font-size: 28px; font-weight: 800; color: var(--rv-accent); }
+  .stats { display: grid; grid-template-columns: 1fr 1fr; gap: 8px; margin: 12px 0 0; }
+  .stats dd { margin: 0; font-size: 15px; font-weight: 600; }
+  .trend { margin: 12px 0 0; }
+  .trend svg { display: block; width: 100%; height: ${SPARK_HEIGHT}px; overflow: visible; }
+  .trend .area { fill: var(--rv-accent-soft); stroke: none; }
+  .trend .line { fill: none; stroke: var(--rv-accent); stroke-width: 2; stroke-linejoin: round; vector-effect: non-scaling-stroke; }
+  .trend figcaption, .message { margin: 4px 0 0; font-size: 12px; color: var(--rv-muted); }
+  .message.error { color: var(--rv-error); }
+  .source { margin: 12px 0 0; font-size: 10px; color: var(--rv-muted); text-align: right; }
+`;
+
+// Helper: Text made safe for innerHTML (names come from the page and the server)
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+
+// Helper: GET + JSON from the card's API. The backend reports problems as { error }; network and
+// HTTP failures carry the same code/status as api.js so formatError can translate them.
+const fetchJson = async (base, path, params, signal) => {
+  let response;
+  try {
+    response = await fetch(`${base}${path}?${new URLSearchParams(params).toString()}`, { signal });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    const networkError = new Error('Could not reach the rental data server.', { cause: error });
+    networkError.code = 'network';
+    throw networkError;
+  }
+  if (!response.ok) {
+    const error = new Error(`The rental data server responded with an error (${response.status}).`);
+    error.status = response.status;
+    throw error;
+  }
+  const data = await response.json();
+  if (data.error) throw new Error(data.error);
+  return data;
+};
+
+class RentVisionCard extends HTMLElement {
+  static observedAttributes = ['state', 'district', 'type', 'api-base', 'lang'];
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.controller = null;
+    this.view = { status: 'loading' };
+    this.loadQueued = false;
+  }
+
+  connectedCallback() {
+    this.queueLoad();
+  }
+
+  disconnectedCallback() {
+    if (this.controller) this.controller.abort();
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (!this.isConnected || oldValue === newValue) return;
+    if (name === 'lang') this.render();
+    else this.queueLoad();
+  }
+
+  get i18n() {
+    // "ms-MY" counts as ms; languages without a dictionary get English
+    const lang = this.closest('[lang]')?.getAttribute('lang') || '';
+    return createI18n(lang.toLowerCase().slice(0, 2));
+  }
+
+  get apiBase() {
+    return (this.getAttribute('api-base') || SCRIPT_API_BASE || BUILD_API_BASE).replace(/\/+$/, '');
+  }
+
+  // Setting several attributes in a row (or a framework creating the element) loads once
+  queueLoad() {
+    if (this.loadQueued) return;
+    this.loadQueued = true;
+    queueMicrotask(() => {
+      this.loadQueued = false;
+      if (this.isConnected) this.load();
+    });
+  }
+
+  async load() {
+    if (this.controller) this.controller.abort();
+    const params = {
+      state: this.getAttribute('state') || '',
+      district: this.getAttribute('district') || '',
+      houseType: this.getAttribute('type') || '',
+    };
+    if (!params.state || !params.district || !params.houseType) {
+      this.view = { status: 'missing' };
+      this.render();
+      return;
+    }
+
+    const controller = new AbortController();
+    this.controller = controller;
+    this.view = { status: 'loading' };
+    this.render();
+
+    try {
+      const base = this.apiBase;
+      const [result, trends] = await Promise.all([
+        fetchJson(base, '/search', params, controller.signal),
+        // The card still shows its figures if the sparkline can't be had
+        fetchJson(base, '/trends', { ...params, granularity: 'monthly' }, controller.signal).catch(() => null),
+      ]);
+      this.view = result.found
+        ? { status: 'done', result, trend: trends && trends.found ? trends.trends : [] }
+        : { status: 'empty' };
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      this.view = { status: 'error', error };
+    }
+    this.render();
+  }
+
+  renderTrend() {
+    const { t, formatCurrency, formatDate } = this.i18n;
+    const { trend } = this.view;
+    const spark = buildSparkline(trend.map(period => period.price), SPARK_WIDTH, SPARK_HEIGHT);
+    if (!spark) return `<p class="message">${escapeHtml(t('common.notEnoughHistory'))}</p>`;
+
+    const first = trend[0];
+    const last = trend[trend.length - 1];
+    const from = formatDate(first.start, { month: 'short', year: 'numeric' });
+    const to = formatDate(last.start, { month: 'short', year: 'numeric' });
+    const summary = `${t('widget.trendCaption')}: ${formatCurrency(first.price)} (${from}) → ${formatCurrency(last.price)} (${to})`;
+    return `
+      <figure class="trend">
+        <svg viewBox="0 0 ${SPARK_WIDTH} ${SPARK_HEIGHT}" preserveAspectRatio="none" role="img" aria-label="${escapeHtml(summary)}">
+          <path class="area" d="${spark.area}"></path>
+          <path class="line" d="${spark.line}"></path>
+        </svg>
+        <figcaption>${escapeHtml(`${t('widget.trendCaption')} · ${from} – ${to}`)}</figcaption>
+      </figure>`;
+  }
+
+  renderBody() {
+    const { t, formatCurrency, formatNumber, formatError } = this.i18n;
+    const { status, result, error } = this.view;
+    if (status === 'missing') return `<p class="message">${escapeHtml(t('widget.missingAttributes'))}</p>`;
+    if (status === 'loading') return `<p class="message">${escapeHtml(t('widget.loading'))}</p>`;
+    if (status === 'empty') return `<p class="message">${escapeHtml(t('widget.noListings'))}</p>`;
+    if (status === 'error') return `<p class="message error" role="alert">${escapeHtml(formatError(error))}</p>`;
+
+    return `
+      <div>
+        <span class="label">${escapeHtml(t('common.medianRent'))}</span>
+        <span class="headline">${escapeHtml(formatCurrency(result.medianRent))}</span>
+      </div>
+      <dl class="stats">
+        <div><dt class="label">${escapeHtml(t('common.suggestedIncome'))}</dt><dd>${escapeHtml(formatCurrency(result.suitableIncome))}</dd></div>
+        <div><dt class="label">${escapeHtml(t('common.listingsLabel'))}</dt><dd>${escapeHtml(formatNumber(result.count))}</dd></div>
+      </dl>
+      ${this.renderTrend()}`;
+  }
+
+  render() {
+    const { lang, t } = this.i18n;
+    const state = this.getAttribute('state') || '';
+    const district = this.getAttribute('district') || '';
+    const type = this.getAttribute('type') || '';
+    this.shadowRoot.innerHTML = `
+      <style>${STYLES}</style>
+      <article class="card" part="card" lang="${lang}" aria-busy="${this.view.status === 'loading'}">
+        ${state ? `<p class="eyebrow">${escapeHtml(state)}</p>` : ''}
+        ${district && type ? `<h2 class="title">${escapeHtml(t('widget.title', { type, district }))}</h2>` : ''}
+        ${this.renderBody()}
+        <p class="source">${escapeHtml(t('widget.source'))}</p>
+      </article>`;
+  }
+}
+
+export default RentVisionCard;
@@ -0,0 +1,14 @@
+// Entry of the embeddable widget build (npm run build:widget -> dist-widget/rentvision-widget.js).
+// One script tag registers <rentvision-card> on the page:
+//
+//   <script src="https://…/rentvision-widget.js" data-api-base="https://api.example.com" defer></script>
+import RentVisionCard from './RentVisionCard';
+
+export const TAG_NAME = 'rentvision-card';
+
+// The script may be included twice (e.g. by two embeds on one page)
+if (!customElements.get(TAG_NAME)) {
+  customElements.define(TAG_NAME, RentVisionCard);
+}
+
+export { RentVisionCard };
@@ -0,0 +1,22 @@
+// SVG geometry of the widget's mini trend line, scaled into a width x height box.
+
+// Path data for the line and the area under it, or null when there is no line to draw
+export const buildSparkline = (values, width, height, padding = 3) => {
+  if (values.length < 2) return null;
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const step = (width - padding * 2) / (values.length - 1);
+  // A flat series runs through the middle rather than along an edge
+  const toY = (value) => (max === min
+    ? height / 2
+    : padding + (1 - (value - min) / (max - min)) * (height - padding * 2));
+
+  const coords = values.map((value, i) => [padding + i * step, toY(value)]);
+  const line = coords.map(([x, y], i) => `${i ? 'L' : 'M'}${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+  const [firstX] = coords[0];
+  const [lastX] = coords[coords.length - 1];
+  return {
+    line,
+    area: `${line} L${lastX.toFixed(1)},${height} L${firstX.toFixed(1)},${height} Z`,
+  };
+};
@@ -0,0 +1,23 @@
+// Parity of the standalone analysis (src/analysis) with the FastAPI backend: both answer the requests
+// in cases.json for sample-rentals.csv, and test_backend.py checks the backend against the same answers.
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { csvToColumns } from '../../src/analysis/csv';
+import { buildListings, handleRequest } from '../../src/analysis/rentalAnalysis';
+
+const read = (name) => readFileSync(new URL(name, import.meta.url), 'utf8');
+
+const dataset = buildListings(csvToColumns(read('./sample-rentals.csv')));
+const cases = JSON.parse(read('./cases.json'));
+
+// Helper: Response as it comes out of the API's JSON, floats to 6 places (the two sides add up
+// coordinates in a different order)
+const normalize = (value) => JSON.parse(JSON.stringify(value), (key, v) => (
+  typeof v === 'number' && !Number.isInteger(v) ? Number(v.toFixed(6)) : v
+));
+
+describe('standalone analysis matches the backend', () => {
+  it.each(cases.map(c => [`${c.path} ${new URLSearchParams(c.params)}`, c]))('%s', (name, { path, params, expected }) => {
+    expect(normalize(handleRequest(dataset, path, params))).toEqual(normalize(expected));
+  });
+});
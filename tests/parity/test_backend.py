@@ -0,0 +1,64 @@
+# Parity of the FastAPI backend with the standalone analysis: the backend's answers to the requests in
+# cases.json for sample-rentals.csv, which standalone.test.js checks the standalone analysis against.
+#
+#   pip install fastapi pandas httpx pytest
+#   python -m pytest tests/parity
+#
+# After an intended change to the API's output, refresh the expected answers with
+#   python tests/parity/test_backend.py --update
+import json
+import os
+import sys
+
+import pytest
+from fastapi.testclient import TestClient
+
+HERE = os.path.dirname(os.path.abspath(__file__))
+sys.path.insert(0, os.path.join(HERE, "..", "..", "backend"))
+
+from app import main  # noqa: E402
+
+CASES_PATH = os.path.join(HERE, "cases.json")
+
+with open(CASES_PATH) as f:
+    CASES = json.load(f)
+
+def normalize(value):
+    # Floats to 6 places, as in standalone.test.js (the two sides add up coordinates in a different order)
+    if isinstance(value, float):
+        return round(value, 6)
+    if isinstance(value, list):
+        return [normalize(item) for item in value]
+    if isinstance(value, dict):
+        return {key: normalize(item) for key, item in value.items()}
+    return value
+
+def to_json(value, indent=""):
+    # json.dumps(indent=2), but with lists of plain values on one line
+    inner = indent + "  "
+    if isinstance(value, dict) and value:
+        items = [f"{inner}{json.dumps(key)}: {to_json(item, inner)}" for key, item in value.items()]
+        return "{\n" + ",\n".join(items) + f"\n{indent}}}"
+    if isinstance(value, list) and any(isinstance(item, (dict, list)) for item in value):
+        return "[\n" + ",\n".join(inner + to_json(item, inner) for item in value) + f"\n{indent}]"
+    return json.dumps(value, ensure_ascii=False)
+
+@pytest.fixture(scope="module")
+def client():
+    main.DATA_PATH = os.path.join(HERE, "sample-rentals.csv")
+    with TestClient(main.app) as test_client:
+        yield test_client
+
+@pytest.mark.parametrize("case", CASES, ids=lambda case: f"{case['path']} {case['params']}")
+def test_backend_answers(client, case):
+    response = client.get(case["path"], params=case["params"])
+    assert normalize(response.json()) == normalize(case["expected"])
+
+if __name__ == "__main__" and "--update" in sys.argv:
+    main.DATA_PATH = os.path.join(HERE, "sample-rentals.csv")
+    with TestClient(main.app) as test_client:
+        for case in CASES:
+            case["expected"] = test_client.get(case["path"], params=case["params"]).json()
+    with open(CASES_PATH, "w") as f:
+        f.write(to_json(CASES) + "\n")
+    print(f"Updated {len(CASES)} cases in {CASES_PATH}")
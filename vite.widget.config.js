@@ -0,0 +1,17 @@
+import { defineConfig } from 'vite'
+
+// Separate build of the embeddable <rentvision-card> widget (src/widget): one self-contained
+// script with no CSS file or chunks, so partner pages need a single <script> tag.
+export default defineConfig({
+  publicDir: false,
+  build: {
+    outDir: 'dist-widget',
+    emptyOutDir: true,
+    lib: {
+      entry: 'src/widget/index.js',
+      name: 'RentVisionWidget',
+      formats: ['iife'],
+      fileName: () => 'rentvision-widget.js',
+    },
+  },
+})